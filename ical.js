@@ -0,0 +1,248 @@
+/**
+ * iCalendar (RFC 5545) serialization and parsing of the CalDAV Sync plugin
+ *
+ * Standalone: no dependencies on Super Productivity or the rest of the
+ * plugin, so it runs (and is tested) under plain Node. Super Productivity
+ * loads a plugin as a single plugin.js, so `npm run build` copies this file
+ * into it, between the "ical.js" markers; `npm test` fails if the copy is
+ * out of date.
+ */
+
+// iCalendar data is built as a tree of components and serialized in one
+// place, so every content line is escaped, quoted and folded the same way:
+//   { name: 'VEVENT', properties: [{ name, params, value }], components: [] }
+// `params` maps parameter names to a string (or an array for multi-values).
+// `value` is written as is (dates, URIs, ...); TEXT values go through
+// escapeICalText (see icalText). parseICal() returns the same structure.
+
+// Content lines are folded after 75 octets (RFC 5545 3.1)
+const ICAL_LINE_LIMIT = 75;
+
+/**
+ * Creates a property; falsy values give null (left out by icalComponent)
+ */
+function icalProp(name, value, params = {}) {
+  if (value === null || value === undefined || value === '') return null;
+  return { name, params, value: String(value) };
+}
+
+/**
+ * Creates a TEXT property (escaped, see escapeICalText)
+ */
+function icalText(name, text, params = {}) {
+  return icalProp(name, escapeICalText(text), params);
+}
+
+/**
+ * Creates a component; null properties are left out
+ */
+function icalComponent(name, properties = [], components = []) {
+  return {
+    name,
+    properties: properties.filter(Boolean),
+    components: components.filter(Boolean)
+  };
+}
+
+/**
+ * Escapes a TEXT value (RFC 5545 3.3.11): backslashes, semicolons, commas
+ * and line breaks (\n, \r\n, \r); other control characters are not allowed
+ * in TEXT and are removed
+ */
+function escapeICalText(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
+
+/**
+ * Reverts escapeICalText
+ */
+function unescapeICalText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+}
+
+/**
+ * Formats a parameter value: RFC 6868 caret encoding (^^, ^n, ^'), quoted
+ * if it contains ; : or ,
+ */
+function formatICalParamValue(value) {
+  const encoded = String(value)
+    .replace(/\^/g, '^^')
+    .replace(/\r\n|\r|\n/g, '^n')
+    .replace(/"/g, '^\'')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+  return /[;:,]/.test(encoded) ? `"${encoded}"` : encoded;
+}
+
+/**
+ * Reverts formatICalParamValue (without the quotes)
+ */
+function parseICalParamValue(value) {
+  return value.replace(/\^(\^|n|')/g, (match, char) => char === 'n' ? '\n' : char === '\'' ? '"' : '^');
+}
+
+/**
+ * Folds a content line into lines of at most 75 octets (UTF-8), continued
+ * with a leading space; multi-byte characters are never split
+ */
+function foldICalLine(line) {
+  let folded = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const codePoint = char.codePointAt(0);
+    const size = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+
+    if (octets + size > ICAL_LINE_LIMIT) {
+      folded += '\r\n ';
+      octets = 1;
+    }
+    folded += char;
+    octets += size;
+  }
+
+  return folded;
+}
+
+/**
+ * Formats a property as a content line (not folded)
+ */
+function formatICalProperty(property) {
+  const params = Object.entries(property.params || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([name, value]) => `;${name}=${[].concat(value).map(formatICalParamValue).join(',')}`)
+    .join('');
+
+  // Line breaks are only allowed escaped (TEXT) - never let a value end the line
+  const value = property.value.replace(/[\x00-\x08\x0a-\x1f\x7f]/g, '');
+
+  return `${property.name}${params}:${value}`;
+}
+
+/**
+ * Returns the folded content lines of a component and its subcomponents
+ */
+function serializeICalComponent(component) {
+  return [
+    `BEGIN:${component.name}`,
+    ...component.properties.map(property => foldICalLine(formatICalProperty(property))),
+    ...component.components.flatMap(serializeICalComponent),
+    `END:${component.name}`
+  ];
+}
+
+/**
+ * Serializes a component (usually a VCALENDAR); every line ends with CRLF
+ */
+function serializeICal(component) {
+  return serializeICalComponent(component).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses a content line into { name, params, value }, or null if malformed
+ * Parameter values are unquoted and RFC 6868-decoded; multi-values become arrays.
+ */
+function parseICalLine(line) {
+  const nameMatch = /^[A-Za-z0-9-]+/.exec(line);
+  if (!nameMatch) return null;
+
+  const params = {};
+  let i = nameMatch[0].length;
+
+  while (line[i] === ';') {
+    const equals = line.indexOf('=', i);
+    if (equals === -1) return null;
+
+    const paramName = line.slice(i + 1, equals).toUpperCase();
+    const values = [];
+    i = equals + 1;
+
+    for (;;) {
+      let value;
+      if (line[i] === '"') {
+        const close = line.indexOf('"', i + 1);
+        if (close === -1) return null;
+        value = line.slice(i + 1, close);
+        i = close + 1;
+      } else {
+        value = /^[^";:,]*/.exec(line.slice(i))[0];
+        i += value.length;
+      }
+      values.push(parseICalParamValue(value));
+
+      if (line[i] !== ',') break;
+      i++;
+    }
+
+    params[paramName] = values.length === 1 ? values[0] : values;
+  }
+
+  if (line[i] !== ':') return null;
+  return { name: nameMatch[0].toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+/**
+ * Parses iCalendar data into its top-level components (usually one VCALENDAR)
+ * Tolerant of bare LF line endings, malformed lines (skipped) and missing
+ * or mismatched END lines.
+ */
+function parseICal(text) {
+  const root = icalComponent('');
+  const stack = [root];
+
+  // Unfold continuation lines (RFC 5545 3.1)
+  const lines = String(text).replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const property = parseICalLine(line);
+    if (!property) continue;
+
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = icalComponent(property.value.trim().toUpperCase());
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      const index = stack.map(component => component.name).lastIndexOf(property.value.trim().toUpperCase());
+      if (index > 0) stack.length = index;
+    } else {
+      current.properties.push(property);
+    }
+  }
+
+  return root.components;
+}
+
+/**
+ * Returns the first property with the given name of a component, or null
+ */
+function getICalProperty(component, name) {
+  return component.properties.find(property => property.name === name) || null;
+}
+
+// Under Node (tests) the functions are exported; in the plugin they are globals
+if (typeof module === 'object' && module && module.exports) {
+  module.exports = {
+    ICAL_LINE_LIMIT,
+    icalProp,
+    icalText,
+    icalComponent,
+    escapeICalText,
+    unescapeICalText,
+    formatICalParamValue,
+    parseICalParamValue,
+    foldICalLine,
+    formatICalProperty,
+    serializeICal,
+    parseICalLine,
+    parseICal,
+    getICalProperty
+  };
+}
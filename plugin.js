@@ -10,6 +10,24 @@
  * - All tasks are synchronized, including imported ones from Jira/GitHub/etc.
  * - Changes to tasks (title, time, description) are automatically propagated
  * - Deleted or completed tasks are removed from the calendar
+ * - Optional two-way sync: calendar-side edits are written back to the tasks
+ * - Optional VTODO mode: tasks are synced as to-dos instead of events
+ * - Failed requests (offline, server down) are queued and retried with backoff
+ * - Tasks can be routed to different calendars by project, tag or issue provider
+ * - Optional: repeating tasks are exported as one recurring event (RRULE) per repeat config
+ * - Optional: tracked time is exported as "worked" events to a separate time-sheet calendar
+ * - Basic, Digest or OAuth2 bearer (with token refresh) authentication
+ * - Optional: events of external (read-only) calendars are imported as scheduled tasks
+ * - Status page with the sync state of each task and a persistent activity log
+ * - Server reconciliation: orphaned events are deleted, missing events recreated
+ * - Unchanged events are skipped (content hash); bulk requests run in parallel
+ *   and back off on 429/503 with Retry-After
+ * - Bursts of task hooks are debounced and merged per task, saved once per batch
+ * - Subtasks: separate events, linked with RELATED-TO, folded into the parent's
+ *   event as a checklist, or left out (top-level tasks only)
+ * - Templates for SUMMARY/DESCRIPTION; tags as CATEGORIES, project colors as
+ *   COLOR and links to Jira/GitHub issues as URL
+ * - Task reminders and default alarms become VALARMs
  *
  * CONFIGURATION:
  * Use the Settings UI (Side Panel → "CalDAV Settings") to configure.
@@ -25,42 +43,501 @@
 
 // CalDAV Configuration (loaded from Settings UI)
 let caldavConfig = {
+  accountName: '',             // Name of the account below (the default account) when there are several
+  authMethod: 'basic',         // 'basic', 'digest' or 'bearer' (OAuth2 access token)
   username: '',
   password: '',
-  calendarUrl: '',
+  serverUrl: '',               // Server URL used for calendar discovery
+  calendarUrl: '',             // Default calendar
   enabled: false,
-  deleteCompletedTasks: true  // Delete completed tasks from calendar
+  deleteCompletedTasks: true,  // Delete completed tasks from calendar (else keep them as done events)
+  completedPrefix: '✓ ',       // SUMMARY prefix of kept done events
+  completedEndAtTimeSpent: false, // Shorten kept done events to the time actually spent
+  componentType: 'VEVENT',     // Default calendar: sync tasks as 'VEVENT' (events) or 'VTODO' (to-dos)
+  calendars: [],               // Additional calendars: [{ id, name, url, componentType, accountId }]
+  accounts: [],                // Additional accounts: [{ id, name, enabled, serverUrl, authMethod, username, password, ... }]
+  routingRules: [],            // [{ match: 'project' | 'tag' | 'issueProvider', value, calendarId }], first match wins
+  twoWaySync: false,           // Pull calendar-side edits back into tasks
+  conflictResolution: 'task',  // Which side wins when both changed: 'task' | 'calendar'
+  pullInterval: 5,             // Minutes between calendar pulls (two-way sync only)
+  syncRecurring: false,        // Export repeat configs as RRULE series instead of single instances
+  subtaskMode: 'separate',     // Subtasks: 'separate' events, 'related' (RELATED-TO), 'checklist' in the parent, 'topLevel' only
+  summaryTemplate: '{title}',  // Event SUMMARY, see renderTemplate for the placeholders
+  descriptionTemplate: '{notes}', // Event DESCRIPTION
+  tagCategories: false,        // Export tags as CATEGORIES
+  projectColors: false,        // Export the project color as COLOR
+  issueUrlTemplates: {},       // Issue links (URL): { issueProviderId: 'https://jira.example.com/browse/{issueKey}' }
+  alarmMode: 'keep',           // 'keep' alarms (VALARM for the reminder + default alarms) or 'drop' them
+  alarmsTimed: [],             // Default alarms of timed events: minutes before the start
+  alarmsAllDay: [],            // Default alarms of all-day events: minutes before the start of the day (negative = during the day)
+  worklogEnabled: false,       // Export tracked time as "worked" events
+  worklogCalendarUrl: '',      // Time-sheet calendar for the worked events (separate from the task calendars)
+  worklogAccountId: 'default', // Account of the time-sheet calendar
+  worklogDayStart: '09:00',    // Worked blocks of a day are stacked from this time on
+  worklogDays: 7,              // Number of days (including today) to export
+  timezone: '',                // IANA timezone for event times (TZID); empty = system timezone
+  accessToken: '',             // Bearer auth: current access token
+  refreshToken: '',            // Bearer auth: refresh token for new access tokens (optional)
+  tokenUrl: '',                // Bearer auth: OAuth2 token endpoint
+  clientId: '',                // Bearer auth: OAuth2 client id
+  clientSecret: '',            // Bearer auth: OAuth2 client secret (if the client has one)
+  tokenExpiresAt: null,        // Bearer auth: expiry of the access token (ms)
+  importCalendars: [],         // External calendars imported as tasks: [{ id, name, url, projectId, accountId }]
+  importDaysBack: 1,           // Import window: days before today
+  importDaysAhead: 14,         // Import window: days after today
+  importCancelAction: 'mark',  // Cancelled/deleted events: 'mark' the task or 'delete' it
+  busyCheckEnabled: false,     // Warn when a scheduled task overlaps busy time in busyCalendars
+  busyCalendars: [],           // Calendars checked for busy time: [{ id, name, url, accountId }]
+  busyDayStart: '08:00',       // Suggested free slots start at the earliest at this time
+  busyDayEnd: '18:00',         // ... and end at the latest at this time
+  exportProjectIds: [],        // .ics export/feed: only tasks of these projects (empty = all)
+  exportTagIds: [],            // .ics export/feed: only tasks with one of these tags (empty = all)
+  feedEnabled: false,          // Rewrite the .ics feed automatically
+  feedUrl: '',                 // Feed location: WebDAV URL the .ics file is uploaded to
+  feedAccountId: 'default',    // Account whose credentials the feed is uploaded with
+  feedDaysBack: 30,            // Feed window: days before today
+  feedDaysAhead: 365,          // Feed window: days after today
+  showSyncSnacks: true,        // Show a notification for every synchronized task
+  syncConcurrency: 4           // Max. parallel requests of bulk operations (1-10)
 };
 
-// Mapping: { taskId: eventUid } - Tracks which Super Productivity task corresponds to which CalDAV event
+// Mapping: { taskId: { uid, calendarUrl, etag, fields, hash } } - Tracks which Super Productivity task corresponds to which CalDAV event.
+// `calendarUrl` is the calendar the event lives in (entries without it live in the default calendar).
+// `etag` is the server's ETag after our last write, used for conditional updates and deletes.
+// `fields` is the snapshot of the event as last synced, used to detect which side changed.
+// `hash` is the content hash of the task's iCalendar data as last written or pulled (see buildEventData); unchanged events are not PUT again.
+// `completedAt` is the COMPLETED time written for a done task (null while not done).
 let taskEventMapping = {};
 
+// Calendars assigned by hand: { taskId: calendarId } - take precedence over the routing rules
+let taskAssignments = {};
+
+// Series mapping: { repeatCfgId: { uid, calendarUrl, instances: { taskId: 'YYYY-MM-DD' }, exdates: ['YYYY-MM-DD'], hash } }
+// `instances` remembers the original occurrence day of each instance task, `exdates` the deleted (skipped) ones.
+let seriesEventMapping = {};
+
+// Repeat configs as last loaded from Super Productivity (see loadRepeatCfgs)
+let repeatCfgs = [];
+
+// Worklog mapping: { 'taskId/YYYY-MM-DD': { uid, calendarUrl, start, end, title } }
+// One "worked" event per task and day, as last written to the time-sheet calendar.
+let worklogMapping = {};
+
+// Interval handle of the periodic worklog export, pending debounced export, and re-entrancy guard
+let worklogTimer = null;
+let worklogSyncTimeout = null;
+let worklogSyncing = false;
+
+// Worklog export: 1 min after a task change (the timer updates tasks continuously), and every 15 min
+const WORKLOG_DELAY = 60000;
+const WORKLOG_INTERVAL = 900000;
+
+// Import mapping: { 'calendarUrl|uid|recurrenceId': { taskId, calendarUrl, fields, cancelled, dismissed } }
+// `fields` is the event as last applied to the task; `dismissed` entries (task deleted in
+// Super Productivity) are not re-created.
+let importedEventMapping = {};
+
+// Ids of the tasks in importedEventMapping, kept along with it (isImportedTask runs for every synced task)
+let importedTaskIds = new Set();
+
+// Interval handle of the periodic import of external calendars, and re-entrancy guard
+let importTimer = null;
+let importing = false;
+
+// Interval handle of the periodic feed export, pending debounced export, and re-entrancy guard
+let feedTimer = null;
+let feedExportTimeout = null;
+let feedExporting = false;
+
+// Content hash of the feed as last written (see getEventHash), so unchanged feeds aren't rewritten
+let lastFeedHash = null;
+
+// Feed export: 1 min after a task change, and every 15 min (the window moves with the date)
+const FEED_DELAY = 60000;
+const FEED_INTERVAL = 900000;
+
+// Title prefix of tasks whose event was cancelled or deleted (importCancelAction 'mark')
+const CANCELLED_PREFIX = '[Cancelled] ';
+
+// Sync result per task: { taskId: { lastSync, lastError, errorAt } } - shown on the status page
+let syncStatus = {};
+
+// Recent operations, oldest first: [{ time, level: 'info' | 'warn' | 'error', action, taskId, title, message }]
+let activityLog = [];
+
+// Older entries are dropped, so the log doesn't grow the synced plugin data without limit
+const ACTIVITY_LOG_LIMIT = 200;
+
+// Last computed bulk sync plan (see buildSyncPlan), applied by applySyncPlan
+let lastSyncPlan = null;
+
+// View the settings iframe should open with ('preview' after the header button)
+let pendingView = null;
+
+// Nesting depth of withBatchedSaves(), and whether a save was requested meanwhile
+let saveBatchDepth = 0;
+let saveDeferred = false;
+
+// Interval handle of the periodic calendar pull (two-way sync)
+let pullTimer = null;
+
+// Pending operations that failed with a retryable error: { taskId: { type, attempts, nextAttempt, lastError } }
+// Only the latest operation per task is kept ('sync' or 'delete'); 'sync' pushes the task's current state.
+let operationQueue = {};
+
+// Timeout handle of the next queue drain, and re-entrancy guard
+let queueTimer = null;
+let queueDraining = false;
+
+// Retry backoff: 30s, 1min, 2min, ... capped at 1h
+const QUEUE_BASE_DELAY = 30000;
+const QUEUE_MAX_DELAY = 3600000;
+
+// XML namespaces used in WebDAV/CalDAV requests and responses
+const DAV_NS = 'DAV:';
+const CALDAV_NS = 'urn:ietf:params:xml:ns:caldav';
+const APPLE_ICAL_NS = 'http://apple.com/ns/ical/';
+
+// ============================================================================
+// iCalendar Serialization (RFC 5545)
+// ============================================================================
+// Serializer and parser live in ical.js (standalone, tested under Node);
+// `npm run build` copies it here, since Super Productivity loads plugin.js
+// as a single file. Edit ical.js, not the copy below.
+
+// >>> ical.js
+/**
+ * iCalendar (RFC 5545) serialization and parsing of the CalDAV Sync plugin
+ *
+ * Standalone: no dependencies on Super Productivity or the rest of the
+ * plugin, so it runs (and is tested) under plain Node. Super Productivity
+ * loads a plugin as a single plugin.js, so `npm run build` copies this file
+ * into it, between the "ical.js" markers; `npm test` fails if the copy is
+ * out of date.
+ */
+
+// iCalendar data is built as a tree of components and serialized in one
+// place, so every content line is escaped, quoted and folded the same way:
+//   { name: 'VEVENT', properties: [{ name, params, value }], components: [] }
+// `params` maps parameter names to a string (or an array for multi-values).
+// `value` is written as is (dates, URIs, ...); TEXT values go through
+// escapeICalText (see icalText). parseICal() returns the same structure.
+
+// Content lines are folded after 75 octets (RFC 5545 3.1)
+const ICAL_LINE_LIMIT = 75;
+
+/**
+ * Creates a property; falsy values give null (left out by icalComponent)
+ */
+function icalProp(name, value, params = {}) {
+  if (value === null || value === undefined || value === '') return null;
+  return { name, params, value: String(value) };
+}
+
+/**
+ * Creates a TEXT property (escaped, see escapeICalText)
+ */
+function icalText(name, text, params = {}) {
+  return icalProp(name, escapeICalText(text), params);
+}
+
+/**
+ * Creates a component; null properties are left out
+ */
+function icalComponent(name, properties = [], components = []) {
+  return {
+    name,
+    properties: properties.filter(Boolean),
+    components: components.filter(Boolean)
+  };
+}
+
+/**
+ * Escapes a TEXT value (RFC 5545 3.3.11): backslashes, semicolons, commas
+ * and line breaks (\n, \r\n, \r); other control characters are not allowed
+ * in TEXT and are removed
+ */
+function escapeICalText(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+}
+
+/**
+ * Reverts escapeICalText
+ */
+function unescapeICalText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char);
+}
+
+/**
+ * Formats a parameter value: RFC 6868 caret encoding (^^, ^n, ^'), quoted
+ * if it contains ; : or ,
+ */
+function formatICalParamValue(value) {
+  const encoded = String(value)
+    .replace(/\^/g, '^^')
+    .replace(/\r\n|\r|\n/g, '^n')
+    .replace(/"/g, '^\'')
+    .replace(/[\x00-\x08\x0b-\x1f\x7f]/g, '');
+  return /[;:,]/.test(encoded) ? `"${encoded}"` : encoded;
+}
+
+/**
+ * Reverts formatICalParamValue (without the quotes)
+ */
+function parseICalParamValue(value) {
+  return value.replace(/\^(\^|n|')/g, (match, char) => char === 'n' ? '\n' : char === '\'' ? '"' : '^');
+}
+
+/**
+ * Folds a content line into lines of at most 75 octets (UTF-8), continued
+ * with a leading space; multi-byte characters are never split
+ */
+function foldICalLine(line) {
+  let folded = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const codePoint = char.codePointAt(0);
+    const size = codePoint < 0x80 ? 1 : codePoint < 0x800 ? 2 : codePoint < 0x10000 ? 3 : 4;
+
+    if (octets + size > ICAL_LINE_LIMIT) {
+      folded += '\r\n ';
+      octets = 1;
+    }
+    folded += char;
+    octets += size;
+  }
+
+  return folded;
+}
+
+/**
+ * Formats a property as a content line (not folded)
+ */
+function formatICalProperty(property) {
+  const params = Object.entries(property.params || {})
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([name, value]) => `;${name}=${[].concat(value).map(formatICalParamValue).join(',')}`)
+    .join('');
+
+  // Line breaks are only allowed escaped (TEXT) - never let a value end the line
+  const value = property.value.replace(/[\x00-\x08\x0a-\x1f\x7f]/g, '');
+
+  return `${property.name}${params}:${value}`;
+}
+
+/**
+ * Returns the folded content lines of a component and its subcomponents
+ */
+function serializeICalComponent(component) {
+  return [
+    `BEGIN:${component.name}`,
+    ...component.properties.map(property => foldICalLine(formatICalProperty(property))),
+    ...component.components.flatMap(serializeICalComponent),
+    `END:${component.name}`
+  ];
+}
+
+/**
+ * Serializes a component (usually a VCALENDAR); every line ends with CRLF
+ */
+function serializeICal(component) {
+  return serializeICalComponent(component).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses a content line into { name, params, value }, or null if malformed
+ * Parameter values are unquoted and RFC 6868-decoded; multi-values become arrays.
+ */
+function parseICalLine(line) {
+  const nameMatch = /^[A-Za-z0-9-]+/.exec(line);
+  if (!nameMatch) return null;
+
+  const params = {};
+  let i = nameMatch[0].length;
+
+  while (line[i] === ';') {
+    const equals = line.indexOf('=', i);
+    if (equals === -1) return null;
+
+    const paramName = line.slice(i + 1, equals).toUpperCase();
+    const values = [];
+    i = equals + 1;
+
+    for (;;) {
+      let value;
+      if (line[i] === '"') {
+        const close = line.indexOf('"', i + 1);
+        if (close === -1) return null;
+        value = line.slice(i + 1, close);
+        i = close + 1;
+      } else {
+        value = /^[^";:,]*/.exec(line.slice(i))[0];
+        i += value.length;
+      }
+      values.push(parseICalParamValue(value));
+
+      if (line[i] !== ',') break;
+      i++;
+    }
+
+    params[paramName] = values.length === 1 ? values[0] : values;
+  }
+
+  if (line[i] !== ':') return null;
+  return { name: nameMatch[0].toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+/**
+ * Parses iCalendar data into its top-level components (usually one VCALENDAR)
+ * Tolerant of bare LF line endings, malformed lines (skipped) and missing
+ * or mismatched END lines.
+ */
+function parseICal(text) {
+  const root = icalComponent('');
+  const stack = [root];
+
+  // Unfold continuation lines (RFC 5545 3.1)
+  const lines = String(text).replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    const property = parseICalLine(line);
+    if (!property) continue;
+
+    const current = stack[stack.length - 1];
+    if (property.name === 'BEGIN') {
+      const component = icalComponent(property.value.trim().toUpperCase());
+      current.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      const index = stack.map(component => component.name).lastIndexOf(property.value.trim().toUpperCase());
+      if (index > 0) stack.length = index;
+    } else {
+      current.properties.push(property);
+    }
+  }
+
+  return root.components;
+}
+
+/**
+ * Returns the first property with the given name of a component, or null
+ */
+function getICalProperty(component, name) {
+  return component.properties.find(property => property.name === name) || null;
+}
+
+// Under Node (tests) the functions are exported; in the plugin they are globals
+if (typeof module === 'object' && module && module.exports) {
+  module.exports = {
+    ICAL_LINE_LIMIT,
+    icalProp,
+    icalText,
+    icalComponent,
+    escapeICalText,
+    unescapeICalText,
+    formatICalParamValue,
+    parseICalParamValue,
+    foldICalLine,
+    formatICalProperty,
+    serializeICal,
+    parseICalLine,
+    parseICal,
+    getICalProperty
+  };
+}
+// <<< ical.js
+
 // ============================================================================
 // CalDAV Helper Functions
 // ============================================================================
 
+/**
+ * Renders a task's iCalendar data as it is written to its calendar
+ * Returns { eventData, hash, completedAt }. Done tasks without doneOn keep the
+ * completion time of their first sync, so the hash stays stable.
+ * tasks (all tasks) saves a getTasks() call for parent/subtask data.
+ */
+async function buildEventData(task, tasks) {
+  const entry = taskEventMapping[task.id];
+  const relations = await getTaskRelations(task, tasks);
+  await refreshTaskMeta();
+
+  const completedAt = task.isDone ? task.doneOn || (entry && entry.completedAt) || Date.now() : null;
+  const eventData = createEventFromTask({ ...task, doneOn: completedAt }, getCalendarForTask(task).componentType, relations);
+  return { eventData, hash: getEventHash(eventData), completedAt };
+}
+
 /**
  * Creates or updates a CalDAV event for a task
+ * Tasks whose rendered event is unchanged since the last sync or pull are
+ * skipped unless options.force is set, so calendar-side edits are not overwritten.
+ * If the task is routed to another calendar than before, the event is moved.
+ * options.tasks (all tasks) saves a getTasks() call for parent/subtask data.
  */
-async function syncTaskToCalDAV(task) {
-  if (!caldavConfig.enabled) return;
+async function syncTaskToCalDAV(task, options = {}) {
+  if (!isSyncActive()) return;
   if (!shouldSyncTask(task)) return;
 
+  const calendar = getCalendarForTask(task);
+  const fields = getTaskEventFields(task);
+  const entry = taskEventMapping[task.id];
+  const moved = entry && getEventCalendarUrl(task.id) !== calendar.url;
+
   try {
     const eventUid = `sp-task-${task.id}`;
-    const eventData = createEventFromTask(task);
+    const { eventData, hash, completedAt } = await buildEventData(task, options.tasks);
+
+    // Nothing to write: the task renders as last synced (e.g. it only changed in
+    // fields that aren't synced). Pulls store the hash of the task as updated
+    // from the event (see applyEventToTask), so only later local changes are pushed.
+    if (!options.force && !moved && entry && entry.hash === hash) return;
 
-    await putCalDAVEvent(eventUid, eventData);
+    let previousEtag = entry && entry.etag;
 
-    taskEventMapping[task.id] = eventUid;
+    if (moved) {
+      await moveCalDAVEvent(getEventCalendarUrl(task.id), calendar.url, eventUid, previousEtag);
+      previousEtag = null; // The moved resource may have a new ETag
+    }
+
+    const etag = await putCalDAVEvent(calendar.url, eventUid, eventData, previousEtag);
+
+    taskEventMapping[task.id] = { uid: eventUid, calendarUrl: calendar.url, etag, fields, hash, completedAt };
+    delete operationQueue[task.id];
+    syncStatus[task.id] = { lastSync: Date.now(), lastError: null };
+    logActivity('info', 'sync', moved ? `Event moved to ${getCalendarName(calendar.url)}` : 'Event synchronized', task);
     await saveData();
 
-    PluginAPI.showSnack({
-      msg: `"${task.title}" synchronized to calendar`,
-      type: 'SUCCESS'
-    });
+    if (caldavConfig.showSyncSnacks) {
+      PluginAPI.showSnack({
+        msg: `"${task.title}" synchronized to calendar`,
+        type: 'SUCCESS'
+      });
+    }
   } catch (error) {
+    if (error.status === 412) {
+      await removeQueuedOperation(task.id);
+      await resolveSyncConflict(task);
+      return;
+    }
+
+    if (isRetryableError(error)) {
+      await enqueueOperation(task.id, 'sync', error, task.title);
+      return;
+    }
+
     console.error('[CalDAV Sync] Error synchronizing:', error);
+    recordSyncError(task, 'sync', error);
+    await removeQueuedOperation(task.id); // Permanent error - retrying won't help
+    await saveData();
     PluginAPI.showSnack({
       msg: `Error synchronizing: ${error.message}`,
       type: 'ERROR'
@@ -78,83 +555,330 @@ function shouldSyncTask(task) {
     return false;
   }
 
-  // Task must not be completed
-  if (task.isDone) {
+  // Instances of exported repeat configs are part of their series event
+  if (isRepeatSeriesTask(task)) {
+    return false;
+  }
+
+  // Imported tasks already are events (in the external calendar)
+  if (isImportedTask(task)) {
+    return false;
+  }
+
+  // Subtasks are part of the parent's event (checklist) or not synced at all (top-level only)
+  if (task.parentId && !hasOwnSubtaskEvent()) {
     return false;
   }
 
+  // Tasks of a disabled account (or one without credentials on this device) wait for it
+  if (isTaskPaused(task)) {
+    return false;
+  }
+
+  // Completed tasks: VTODO mode keeps them as completed to-dos; events are only
+  // kept (marked done) if completed tasks aren't deleted and the task has one
+  if (task.isDone && getCalendarForTask(task).componentType !== 'VTODO') {
+    return !caldavConfig.deleteCompletedTasks && !!taskEventMapping[task.id];
+  }
+
   return true;
 }
 
+/**
+ * Checks if a task's event is kept in the calendar as a done event
+ */
+function isCompletedEvent(task) {
+  return !!task.isDone && !caldavConfig.deleteCompletedTasks &&
+    getCalendarForTask(task).componentType !== 'VTODO';
+}
+
+/**
+ * Returns the duration of a task's timed event (ms)
+ * Done events can end after the time actually spent instead of the estimate
+ */
+function getEventDuration(task) {
+  if (isCompletedEvent(task) && caldavConfig.completedEndAtTimeSpent && task.timeSpent > 0) {
+    return task.timeSpent;
+  }
+  return task.timeEstimate || 3600000; // Default: 1 hour
+}
+
+/**
+ * Reads the done state of a parsed VEVENT
+ * Events have no COMPLETED status, so done events are recognized by the
+ * completed prefix (without a prefix: by being marked free)
+ */
+function isEventMarkedDone(event) {
+  const prefix = caldavConfig.completedPrefix || '';
+  return prefix ? (event.title || '').startsWith(prefix) : event.transparent;
+}
+
 /**
  * Checks if a task's event should be deleted from the calendar
  * Returns true if the task's calendar event should be removed
  */
 function shouldDeleteTask(task) {
+  // Imported tasks have no event of their own
+  if (isImportedTask(task)) {
+    return false;
+  }
+
+  // The event stays as it is while its account is disabled
+  if (isTaskPaused(task)) {
+    return false;
+  }
+
   // Delete if task has no schedule anymore
   if (!task.plannedAt && !task.dueWithTime && !task.dueDay) {
     return true;
   }
 
-  // Delete if task is completed and deleteCompletedTasks is enabled
-  if (task.isDone && caldavConfig.deleteCompletedTasks) {
+  // Delete the own event of a subtask after switching to checklist or top-level mode
+  if (task.parentId && !hasOwnSubtaskEvent() && taskEventMapping[task.id]) {
+    return true;
+  }
+
+  // Delete if task is completed and deleteCompletedTasks is enabled (not in VTODO mode)
+  if (task.isDone && caldavConfig.deleteCompletedTasks && getCalendarForTask(task).componentType !== 'VTODO') {
     return true;
   }
 
   return false;
 }
 
+/**
+ * Returns all target calendars; the first one is the default calendar
+ */
+function getCalendars() {
+  return [
+    {
+      id: 'default',
+      name: 'Default',
+      url: caldavConfig.calendarUrl,
+      componentType: caldavConfig.componentType || 'VEVENT',
+      accountId: DEFAULT_ACCOUNT_ID
+    },
+    ...(caldavConfig.calendars || [])
+      .filter(calendar => calendar.url)
+      .map(calendar => ({ ...calendar, accountId: calendar.accountId || DEFAULT_ACCOUNT_ID }))
+  ];
+}
+
+/**
+ * Returns the target calendars of the accounts that can sync on this device
+ */
+function getActiveCalendars() {
+  return getCalendars().filter(calendar => isAccountActive(calendar.accountId));
+}
+
+/**
+ * Returns the calendar a task is routed to
+ * A calendar assigned by hand wins; otherwise routing rules are checked in
+ * order, and tasks matching no rule go to the default calendar
+ */
+function getCalendarForTask(task) {
+  const calendars = getCalendars();
+
+  const assigned = taskAssignments[task.id] && calendars.find(c => c.id === taskAssignments[task.id]);
+  if (assigned) return assigned;
+
+  for (const rule of caldavConfig.routingRules || []) {
+    const matches =
+      (rule.match === 'project' && task.projectId === rule.value) ||
+      (rule.match === 'tag' && (task.tagIds || []).includes(rule.value)) ||
+      (rule.match === 'issueProvider' && task.issueProviderId === rule.value);
+    if (!matches) continue;
+
+    const calendar = calendars.find(c => c.id === rule.calendarId);
+    if (calendar) return calendar;
+  }
+
+  return calendars[0];
+}
+
+/**
+ * Returns the URL of the calendar the event of a task currently lives in
+ */
+function getEventCalendarUrl(taskId) {
+  const entry = taskEventMapping[taskId];
+  return (entry && entry.calendarUrl) || caldavConfig.calendarUrl;
+}
+
+/**
+ * Returns the uid of the event mapped to a task (or the default uid)
+ */
+function getEventUid(taskId) {
+  const entry = taskEventMapping[taskId];
+  return (entry && entry.uid) || `sp-task-${taskId}`;
+}
+
+/**
+ * Extracts the calendar-relevant fields of a task
+ * Timed events use timestamps (ms), all-day events use "YYYY-MM-DD" dates
+ */
+function getTaskEventFields(task) {
+  const timestamp = task.plannedAt || task.dueWithTime;
+
+  if (timestamp) {
+    // iCalendar times have second precision
+    const start = Math.floor(timestamp / 1000) * 1000;
+    return {
+      allDay: false,
+      start,
+      end: start + Math.floor(getEventDuration(task) / 1000) * 1000,
+      title: task.title || '',
+      notes: task.notes || '',
+      done: !!task.isDone
+    };
+  }
+
+  return {
+    allDay: true,
+    start: task.dueDay,
+    end: null,
+    title: task.title || '',
+    notes: task.notes || '',
+    done: !!task.isDone
+  };
+}
+
+/**
+ * Compares two event field snapshots (see getTaskEventFields)
+ */
+function eventFieldsEqual(a, b) {
+  if (!a || !b) return false;
+  return a.allDay === b.allDay &&
+    a.start === b.start &&
+    a.end === b.end &&
+    a.title === b.title &&
+    a.notes === b.notes &&
+    a.done === b.done;
+}
+
 /**
  * Creates iCalendar event data from a task
  * Supports both timed events and all-day events
+ * For VTODO calendars a to-do is created instead (see createTodoFromTask)
+ */
+function createEventFromTask(task, componentType, relations = {}) {
+  return serializeICal(icalCalendar(createTaskComponents(task, componentType, relations)));
+}
+
+/**
+ * Builds the components of a task's event: [VTIMEZONE, VEVENT] (or VTODO)
  */
-function createEventFromTask(task) {
+function createTaskComponents(task, componentType, relations = {}) {
+  if (componentType === 'VTODO') {
+    return createTodoFromTask(task, relations);
+  }
+
+  const description = getEventDescription(task, relations);
+
   // Check if task has a time or only a date
   const hasTime = task.plannedAt || task.dueWithTime;
   const hasOnlyDate = !hasTime && task.dueDay;
 
-  let dtstart, dtend;
+  const timezone = getTimezone();
+  let dtstart = null, dtend = null, vtimezone = [];
 
   if (hasTime) {
     // Task has time → Timed event
     const timestamp = task.plannedAt || task.dueWithTime;
     const startDate = new Date(timestamp);
 
-    // Calculate end date based on timeEstimate (in ms)
-    const duration = task.timeEstimate || 3600000; // Default: 1 hour
+    // Calculate end date based on timeEstimate (or the time spent on done events)
+    const duration = getEventDuration(task);
     const endDate = new Date(startDate.getTime() + duration);
 
-    dtstart = `DTSTART:${formatICalDateTimeUTC(startDate)}`;
-    dtend = `DTEND:${formatICalDateTimeUTC(endDate)}`;
+    dtstart = formatICalDateTimeProp('DTSTART', startDate, timezone);
+    dtend = formatICalDateTimeProp('DTEND', endDate, timezone);
+    vtimezone = buildVTimezone(timezone, timestamp);
   } else if (hasOnlyDate) {
-    // Task has only date → All-day event
-    // dueDay format: "YYYY-MM-DD"
-    const dateOnly = task.dueDay.replace(/-/g, ''); // "2026-01-03" → "20260103"
-
-    // All-day events: DTSTART;VALUE=DATE and DTEND is same day
-    dtstart = `DTSTART;VALUE=DATE:${dateOnly}`;
-    dtend = `DTEND;VALUE=DATE:${dateOnly}`; // For all-day events End = Start (one day)
+    // Task has only date → All-day event, anchored to the local date (no timezone)
+    // All-day events: DTEND is exclusive, i.e. the next day (RFC 5545 3.6.1)
+    dtstart = formatICalDateProp('DTSTART', task.dueDay);
+    dtend = formatICalDateProp('DTEND', getNextDay(task.dueDay));
   }
 
+  // Done events are prefixed, don't block time and don't remind anymore
+  const done = isCompletedEvent(task);
+
   // Create iCalendar VEVENT
-  const event = [
-    'BEGIN:VCALENDAR',
-    'VERSION:2.0',
-    'PRODID:-//Super Productivity//CalDAV Sync Plugin//EN',
-    'BEGIN:VEVENT',
-    `UID:sp-task-${task.id}`,
-    `DTSTAMP:${formatICalDateTimeUTC(new Date())}`,
+  const event = icalComponent('VEVENT', [
+    icalProp('UID', `sp-task-${task.id}`),
+    icalProp('DTSTAMP', formatICalDateTimeUTC(new Date())),
     dtstart,
     dtend,
-    `SUMMARY:${escapeICalText(task.title)}`,
-    task.notes ? `DESCRIPTION:${escapeICalText(task.notes)}` : '',
-    'STATUS:CONFIRMED',
-    'TRANSP:OPAQUE',
-    'END:VEVENT',
-    'END:VCALENDAR'
-  ].filter(line => line).join('\r\n');
+    icalText('SUMMARY', (done ? caldavConfig.completedPrefix || '' : '') + renderSummary(task)),
+    icalText('DESCRIPTION', description),
+    ...getTemplateProperties(task),
+    ...getRelatedToProperties(relations),
+    icalProp('STATUS', 'CONFIRMED'),
+    icalProp('TRANSP', done ? 'TRANSPARENT' : 'OPAQUE')
+  ], done ? [] : getAlarmComponents(task, { allDay: !!hasOnlyDate }));
+
+  return [...vtimezone, event];
+}
+
+/**
+ * Builds the components of a task's to-do: [VTIMEZONE, VTODO]
+ * - plannedAt: DTSTART = scheduled time, DUE = scheduled time + timeEstimate
+ * - dueWithTime: DUE = due time
+ * - dueDay: DUE;VALUE=DATE = due date
+ * Completed tasks are kept as STATUS:COMPLETED with a COMPLETED timestamp
+ */
+function createTodoFromTask(task, relations = {}) {
+  const timezone = getTimezone();
+  const description = getEventDescription(task, relations);
+  const dates = [];
+  let vtimezone = [];
+
+  if (task.plannedAt) {
+    const duration = task.timeEstimate || 3600000; // Default: 1 hour
+    dates.push(formatICalDateTimeProp('DTSTART', new Date(task.plannedAt), timezone));
+    dates.push(formatICalDateTimeProp('DUE', new Date(task.plannedAt + duration), timezone));
+    vtimezone = buildVTimezone(timezone, task.plannedAt);
+  } else if (task.dueWithTime) {
+    dates.push(formatICalDateTimeProp('DUE', new Date(task.dueWithTime), timezone));
+    vtimezone = buildVTimezone(timezone, task.dueWithTime);
+  } else if (task.dueDay) {
+    dates.push(formatICalDateProp('DUE', task.dueDay));
+  }
+
+  // Progress from tracked time in steps of 10, so tracking doesn't rewrite the
+  // to-do every tick; 100 is reserved for completed tasks
+  let percentComplete = 0;
+  if (task.isDone) {
+    percentComplete = 100;
+  } else if (task.timeEstimate > 0 && task.timeSpent > 0) {
+    percentComplete = Math.min(90, Math.floor(task.timeSpent / task.timeEstimate * 10) * 10);
+  }
+
+  const todo = icalComponent('VTODO', [
+    icalProp('UID', `sp-task-${task.id}`),
+    icalProp('DTSTAMP', formatICalDateTimeUTC(new Date())),
+    ...dates,
+    icalText('SUMMARY', renderSummary(task)),
+    icalText('DESCRIPTION', description),
+    ...getTemplateProperties(task),
+    ...getRelatedToProperties(relations),
+    icalProp('STATUS', task.isDone ? 'COMPLETED' : 'NEEDS-ACTION'),
+    task.isDone ? icalProp('COMPLETED', formatICalDateTimeUTC(new Date(task.doneOn || Date.now()))) : null,
+    icalProp('PERCENT-COMPLETE', percentComplete)
+  ], task.isDone ? [] : getAlarmComponents(task, { allDay: !task.plannedAt && !task.dueWithTime, relatedToDue: !task.plannedAt }));
 
-  return event;
+  return [...vtimezone, todo];
+}
+
+/**
+ * Wraps components in a VCALENDAR of this plugin (with optional extra calendar properties)
+ */
+function icalCalendar(components, properties = []) {
+  return icalComponent('VCALENDAR', [
+    icalProp('VERSION', '2.0'),
+    icalProp('PRODID', '-//Super Productivity//CalDAV Sync Plugin//EN'),
+    ...properties
+  ], components);
 }
 
 /**
@@ -172,239 +896,4934 @@ function formatICalDateTimeUTC(date) {
 }
 
 /**
- * Escapes iCalendar text (commas, semicolons, backslashes)
+ * Formats a date-time property in the given timezone: "NAME;TZID=zone:YYYYMMDDTHHMMSS"
+ * UTC is written with the "Z" suffix instead of a TZID
  */
-function escapeICalText(text) {
-  if (!text) return '';
-  return text
-    .replace(/\\/g, '\\\\')
-    .replace(/;/g, '\\;')
-    .replace(/,/g, '\\,')
-    .replace(/\n/g, '\\n');
+function formatICalDateTimeProp(name, date, timezone) {
+  if (timezone === 'UTC') {
+    return icalProp(name, formatICalDateTimeUTC(date));
+  }
+  return icalProp(name, formatICalDateTimeInZone(date.getTime(), timezone), { TZID: timezone });
 }
 
 /**
- * Sends an event via PUT to the CalDAV server
+ * Formats a "YYYY-MM-DD" day as DATE property (e.g. DTSTART;VALUE=DATE:20260103)
  */
-async function putCalDAVEvent(eventUid, eventData) {
-  const eventUrl = `${caldavConfig.calendarUrl}${eventUid}.ics`;
+function formatICalDateProp(name, day) {
+  return icalProp(name, day.replace(/-/g, ''), { VALUE: 'DATE' });
+}
 
-  const response = await fetch(eventUrl, {
-    method: 'PUT',
-    headers: {
-      'Content-Type': 'text/calendar; charset=utf-8',
-      'Authorization': 'Basic ' + btoa(`${caldavConfig.username}:${caldavConfig.password}`)
-    },
-    body: eventData
+/**
+ * Returns the day after a "YYYY-MM-DD" date
+ */
+function getNextDay(day) {
+  return addDays(day, 1);
+}
+
+/**
+ * Returns the day ("YYYY-MM-DD") a number of days after another one (negative: before)
+ */
+function addDays(day, days) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Content hash of iCalendar data, used to skip PUTs of unchanged events
+ * DTSTAMP lines are left out: they change on every serialization.
+ * (53-bit cyrb53 hash - fast and synchronous, no cryptographic strength needed)
+ */
+function getEventHash(eventData) {
+  const text = eventData.replace(/^DTSTAMP:[^\r\n]*\r?\n/gm, '');
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Creates the error thrown for a failed CalDAV request (carries the HTTP status)
+ */
+function createHttpError(method, response) {
+  const error = new Error(`CalDAV ${method} failed: ${response.status} ${response.statusText}`);
+  error.status = response.status;
+  error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+  return error;
+}
+
+/**
+ * Creates the error thrown when a conditional request fails with 412,
+ * i.e. the event was changed on the server since our last write
+ */
+function createConflictError(method) {
+  const error = new Error(`CalDAV ${method} failed: event was changed on the server`);
+  error.status = 412;
+  return error;
+}
+
+/**
+ * Sends an event via PUT to the CalDAV server
+ * With an etag the PUT is conditional (If-Match) and throws a 412 conflict error
+ * if the event was changed on the server. Returns the new ETag (if provided).
+ */
+async function putCalDAVEvent(calendarUrl, eventUid, eventData, etag) {
+  const eventUrl = `${calendarUrl}${eventUid}.ics`;
+
+  const headers = {
+    'Content-Type': 'text/calendar; charset=utf-8'
+  };
+  if (etag) headers['If-Match'] = etag;
+
+  const response = await caldavFetch(eventUrl, {
+    method: 'PUT',
+    headers,
+    body: eventData
   });
 
+  if (response.status === 412) {
+    throw createConflictError('PUT');
+  }
+
   if (!response.ok) {
     const errorText = await response.text();
     console.error('[CalDAV Sync] PUT error:', response.status, response.statusText, errorText);
-    throw new Error(`CalDAV PUT failed: ${response.status} ${response.statusText}`);
+    throw createHttpError('PUT', response);
+  }
+
+  return response.headers.get('ETag');
+}
+
+/**
+ * Fetches a single event via GET
+ * Returns { etag, data } or null if the event doesn't exist
+ */
+async function getCalDAVEvent(calendarUrl, eventUid) {
+  const eventUrl = `${calendarUrl}${eventUid}.ics`;
+
+  const response = await caldavFetch(eventUrl, { method: 'GET' });
+
+  if (response.status === 404) return null;
+
+  if (!response.ok) {
+    console.error('[CalDAV Sync] GET error:', response.status, response.statusText);
+    throw createHttpError('GET', response);
   }
+
+  return {
+    etag: response.headers.get('ETag'),
+    data: await response.text()
+  };
 }
 
 /**
  * Deletes an event from the CalDAV server
+ * With an etag the DELETE is conditional (If-Match) and throws a 412 conflict error
+ * if the event was changed on the server
  */
-async function deleteCalDAVEvent(eventUid) {
-  if (!caldavConfig.enabled) return;
+async function deleteCalDAVEvent(calendarUrl, eventUid, etag) {
+  if (!isSyncActive()) return;
 
-  const eventUrl = `${caldavConfig.calendarUrl}${eventUid}.ics`;
+  const eventUrl = `${calendarUrl}${eventUid}.ics`;
+
+  const headers = {};
+  if (etag) headers['If-Match'] = etag;
 
   try {
-    const response = await fetch(eventUrl, {
+    const response = await caldavFetch(eventUrl, {
       method: 'DELETE',
-      headers: {
-        'Authorization': 'Basic ' + btoa(`${caldavConfig.username}:${caldavConfig.password}`)
-      }
+      headers
     });
 
+    if (response.status === 412) {
+      throw createConflictError('DELETE');
+    }
+
     if (!response.ok && response.status !== 404) {
-      console.warn('[CalDAV Sync] DELETE warning:', response.status, response.statusText);
+      throw createHttpError('DELETE', response);
     }
   } catch (error) {
-    console.error('[CalDAV Sync] DELETE error:', error);
+    if (error.status !== 412) {
+      console.error('[CalDAV Sync] DELETE error:', error);
+    }
     throw error;
   }
 }
 
+/**
+ * Moves an event to another calendar via WebDAV MOVE
+ * Servers that can't move between the collections get a delete instead;
+ * the caller re-creates the event in the new calendar right after.
+ * Between accounts (another server or login) MOVE can't work at all.
+ */
+async function moveCalDAVEvent(fromCalendarUrl, toCalendarUrl, eventUid, etag) {
+  if (getAccountIdForUrl(fromCalendarUrl) !== getAccountIdForUrl(toCalendarUrl)) {
+    await deleteCalDAVEvent(fromCalendarUrl, eventUid, etag);
+    return;
+  }
+
+  const headers = {
+    'Destination': `${toCalendarUrl}${eventUid}.ics`,
+    'Overwrite': 'T'
+  };
+  if (etag) headers['If-Match'] = etag;
+
+  const response = await caldavFetch(`${fromCalendarUrl}${eventUid}.ics`, {
+    method: 'MOVE',
+    headers
+  });
+
+  if (response.status === 412) {
+    throw createConflictError('MOVE');
+  }
+
+  // 404: Nothing to move, the event is simply created in the new calendar
+  if (response.ok || response.status === 404) return;
+
+  console.warn('[CalDAV Sync] MOVE failed, falling back to delete + create:', response.status, response.statusText);
+  await deleteCalDAVEvent(fromCalendarUrl, eventUid, etag);
+}
+
+/**
+ * Deletes the event of a task (conditional on its stored ETag) and removes the mapping
+ * If the event was changed on the server, the user decides whether to delete it anyway.
+ * Retryable failures are queued. Returns true if the event was deleted.
+ */
+async function deleteTaskEvent(taskId, taskTitle) {
+  const entry = taskEventMapping[taskId];
+  const eventUid = getEventUid(taskId);
+  const calendarUrl = getEventCalendarUrl(taskId);
+  let deleted = true;
+
+  // Not queued: retrying can't help until the account is enabled again
+  if (!isCalendarUrlActive(calendarUrl)) {
+    logActivity('warn', 'delete', `Event kept, account "${getAccountName(getAccountIdForUrl(calendarUrl))}" is disabled`, { id: taskId, title: taskTitle });
+    await removeQueuedOperation(taskId);
+    return false;
+  }
+
+  try {
+    await deleteCalDAVEvent(calendarUrl, eventUid, entry && entry.etag);
+  } catch (error) {
+    if (error.status !== 412) {
+      if (isRetryableError(error)) {
+        await enqueueOperation(taskId, 'delete', error, taskTitle);
+        return false;
+      }
+
+      recordSyncError({ id: taskId, title: taskTitle }, 'delete', error);
+      await removeQueuedOperation(taskId); // Permanent error - retrying won't help
+      await saveData();
+      throw error;
+    }
+
+    await removeQueuedOperation(taskId);
+
+    const choice = await askConflictResolution(
+      `The calendar event of "${taskTitle || taskId}" was changed on the server since the last sync.`,
+      [
+        { value: 'task', label: 'Delete event' },
+        { value: 'server', label: 'Keep event' },
+        { value: 'skip', label: 'Skip' }
+      ]
+    );
+
+    if (choice === 'skip') {
+      logActivity('warn', 'conflict', 'Event changed on the server, delete skipped', { id: taskId, title: taskTitle });
+      return false;
+    }
+
+    if (choice === 'task') {
+      await deleteCalDAVEvent(calendarUrl, eventUid);
+    } else {
+      deleted = false; // Keep the server version, but stop tracking it
+    }
+  }
+
+  if (entry || operationQueue[taskId]) {
+    delete taskEventMapping[taskId];
+    delete operationQueue[taskId];
+    delete syncStatus[taskId];
+    logActivity('info', 'delete', deleted ? 'Event deleted' : 'Event kept on the server (changed there)', { id: taskId, title: taskTitle });
+    await saveData();
+  }
+
+  return deleted;
+}
+
+/**
+ * Fetches all plugin-created events (sp-task-*) from a calendar
+ * Uses a CalDAV calendar-query REPORT and returns the parsed events (incl. etag)
+ * For VTODO calendars the plugin's to-dos are fetched instead
+ */
+async function fetchCalDAVEvents(calendar) {
+  const body = [
+    '<?xml version="1.0" encoding="utf-8" ?>',
+    '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">',
+    '  <d:prop>',
+    '    <d:getetag/>',
+    '    <c:calendar-data/>',
+    '  </d:prop>',
+    '  <c:filter>',
+    '    <c:comp-filter name="VCALENDAR">',
+    `      <c:comp-filter name="${calendar.componentType === 'VTODO' ? 'VTODO' : 'VEVENT'}"/>`,
+    '    </c:comp-filter>',
+    '  </c:filter>',
+    '</c:calendar-query>'
+  ].join('\n');
+
+  const response = await caldavFetch(calendar.url, {
+    method: 'REPORT',
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Depth': '1'
+    },
+    body
+  });
+
+  if (!response.ok) {
+    console.error('[CalDAV Sync] REPORT error:', response.status, response.statusText);
+    throw createHttpError('REPORT', response);
+  }
+
+  const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+  const events = [];
+
+  for (const node of Array.from(xml.getElementsByTagNameNS(DAV_NS, 'response'))) {
+    const dataNode = node.getElementsByTagNameNS(CALDAV_NS, 'calendar-data')[0];
+    if (!dataNode) continue;
+
+    const event = parseICalEvent(dataNode.textContent);
+    if (!event || !event.uid || !event.uid.startsWith('sp-task-')) continue;
+
+    const etagNode = node.getElementsByTagNameNS(DAV_NS, 'getetag')[0];
+    event.etag = etagNode ? etagNode.textContent : null;
+    event.calendarUrl = calendar.url;
+
+    events.push(event);
+  }
+
+  return events;
+}
+
 // ============================================================================
-// Persistence
+// Authentication
 // ============================================================================
-// IMPORTANT: persistDataSynced() and loadSyncedData() accept NO key parameter!
-// There is only one persistence slot per plugin.
-// We therefore store Config and Mapping together in one object.
+// Every request to the CalDAV server goes through caldavFetch(), which adds
+// the Authorization header of the configured method (auth.authMethod):
+// - basic:  username/password (default)
+// - digest: username/password, answering the server's Digest challenge (RFC 7616)
+// - bearer: OAuth2 access token, refreshed with the refresh token when it expires
+// `auth` is any object with the auth fields of caldavConfig. Settings-page
+// requests pass the (unsaved) form values, everything else the account the
+// URL belongs to (see getAccountIdForUrl).
+
+const AUTH_METHODS = {
+  basic: {
+    authorize: async (auth) => 'Basic ' + btoa(`${auth.username}:${auth.password}`),
+    retryUnauthorized: async () => false
+  },
+  digest: {
+    authorize: authorizeDigest,
+    retryUnauthorized: acceptDigestChallenge
+  },
+  bearer: {
+    authorize: authorizeBearer,
+    retryUnauthorized: refreshBearerToken
+  }
+};
+
+// Last Digest challenge per server and user: { 'origin|username': { realm, nonce, opaque, algorithm, qop, nc } }
+const digestChallenges = {};
+
+// Pending token refreshes per auth object, so parallel requests share one refresh
+const tokenRefreshes = new Map();
+
+// MD5 round constants and shifts (Digest auth; WebCrypto has no MD5)
+const MD5_K = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) | 0);
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
 
 /**
- * Loads saved data (Config + Mapping) from the plugin storage
+ * Sends a request to the CalDAV server with the Authorization of `auth`
+ * Answers one 401 per request (Digest challenge, expired bearer token) with a retry.
  */
-async function loadData() {
-  try {
-    const dataString = await PluginAPI.loadSyncedData();
-    if (!dataString || typeof dataString !== 'string') return;
+async function caldavFetch(url, options = {}, auth = getAccountAuth(getAccountIdForUrl(url))) {
+  const method = AUTH_METHODS[auth.authMethod] || AUTH_METHODS.basic;
+  const request = { url, method: options.method || 'GET' };
 
-    const data = JSON.parse(dataString);
+  const send = async () => {
+    const headers = { ...(options.headers || {}) };
+    const authorization = await method.authorize(auth, request);
+    if (authorization) headers['Authorization'] = authorization;
+    return fetch(url, { ...options, headers });
+  };
 
-    if (data.config && typeof data.config === 'object') {
-      caldavConfig = data.config;
+  const response = await sendRateLimited(send);
+  if (response.status === 401 && await method.retryUnauthorized(auth, request, response)) {
+    return sendRateLimited(send);
+  }
+  return response;
+}
+
+/**
+ * Checks if the auth fields are complete for the selected method
+ */
+function hasCredentials(auth) {
+  if (auth.authMethod === 'bearer') {
+    return !!(auth.accessToken || (auth.refreshToken && auth.tokenUrl));
+  }
+  return !!(auth.username && auth.password);
+}
+
+/**
+ * Builds the Digest Authorization header from the last challenge of the server
+ * The first request goes out without one; the 401 brings the challenge.
+ */
+async function authorizeDigest(auth, request) {
+  const challenge = digestChallenges[`${new URL(request.url).origin}|${auth.username}`];
+  if (!challenge) return null;
+
+  const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+  const hash = algorithm.startsWith('SHA-256') ? sha256Hex : async (text) => md5Hex(text);
+  const qop = challenge.qop && challenge.qop.split(',').map(value => value.trim()).includes('auth') ? 'auth' : null;
+  const requestUrl = new URL(request.url);
+  const uri = requestUrl.pathname + requestUrl.search;
+  const cnonce = randomHex(16);
+  const nc = (++challenge.nc).toString(16).padStart(8, '0');
+
+  let ha1 = await hash(`${auth.username}:${challenge.realm}:${auth.password}`);
+  if (algorithm.endsWith('-SESS')) {
+    ha1 = await hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+  }
+  const ha2 = await hash(`${request.method}:${uri}`);
+  const response = qop
+    ? await hash(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+    : await hash(`${ha1}:${challenge.nonce}:${ha2}`);
+
+  const params = [
+    `username="${auth.username}"`,
+    `realm="${challenge.realm}"`,
+    `nonce="${challenge.nonce}"`,
+    `uri="${uri}"`,
+    `algorithm=${challenge.algorithm || 'MD5'}`,
+    `response="${response}"`
+  ];
+  if (challenge.opaque) params.push(`opaque="${challenge.opaque}"`);
+  if (qop) params.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+
+  return `Digest ${params.join(', ')}`;
+}
+
+/**
+ * Stores the Digest challenge of a 401 response
+ * Returns true if the request should be retried with it
+ */
+async function acceptDigestChallenge(auth, request, response) {
+  const header = response.headers.get('WWW-Authenticate') || '';
+  const match = header.match(/Digest\s+(.*)/i);
+  if (!match) {
+    console.error('[CalDAV Sync] Server sent no Digest challenge:', header || '(WWW-Authenticate not readable)');
+    return false;
+  }
+
+  const challenge = { nc: 0 };
+  const paramPattern = /(\w+)=(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+  let param;
+  while ((param = paramPattern.exec(match[1])) !== null) {
+    challenge[param[1].toLowerCase()] = param[2] !== undefined ? param[2].replace(/\\(.)/g, '$1') : param[3];
+  }
+  if (!challenge.nonce) return false;
+
+  digestChallenges[`${new URL(request.url).origin}|${auth.username}`] = challenge;
+  return true;
+}
+
+/**
+ * Returns the bearer Authorization header, refreshing the token shortly before it expires
+ */
+async function authorizeBearer(auth) {
+  if (auth.refreshToken && auth.tokenUrl && (!auth.accessToken ||
+    (auth.tokenExpiresAt && Date.now() > auth.tokenExpiresAt - 60000))) {
+    await refreshAccessToken(auth);
+  }
+  return auth.accessToken ? `Bearer ${auth.accessToken}` : null;
+}
+
+/**
+ * Refreshes the access token after a 401 (token revoked or expired early)
+ * Returns true if the request should be retried with the new token
+ */
+async function refreshBearerToken(auth) {
+  if (!auth.refreshToken || !auth.tokenUrl) return false;
+  await refreshAccessToken(auth);
+  return true;
+}
+
+/**
+ * Gets a new access token from the OAuth2 token endpoint (refresh_token grant)
+ * Refreshed tokens of the saved config are persisted right away.
+ */
+function refreshAccessToken(auth) {
+  if (!tokenRefreshes.has(auth)) {
+    const refresh = (async () => {
+      const body = new URLSearchParams({
+        grant_type: 'refresh_token',
+        refresh_token: auth.refreshToken
+      });
+      if (auth.clientId) body.set('client_id', auth.clientId);
+      if (auth.clientSecret) body.set('client_secret', auth.clientSecret);
+
+      const response = await fetch(auth.tokenUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: body.toString()
+      });
+
+      if (!response.ok) {
+        console.error('[CalDAV Sync] Token refresh error:', response.status, response.statusText);
+        const error = new Error(`OAuth2 token refresh failed: ${response.status} ${response.statusText}`);
+        // Rejected refresh token → same as wrong credentials, no retry
+        error.status = response.status >= 500 ? response.status : 401;
+        throw error;
+      }
+
+      const data = await response.json();
+      auth.accessToken = data.access_token;
+      if (data.refresh_token) auth.refreshToken = data.refresh_token; // Rotated refresh token
+      auth.tokenExpiresAt = data.expires_in ? Date.now() + data.expires_in * 1000 : null;
+
+      if (auth === caldavConfig || (caldavConfig.accounts || []).includes(auth)) await saveData();
+    })();
+
+    tokenRefreshes.set(auth, refresh.finally(() => tokenRefreshes.delete(auth)));
+  }
+
+  return tokenRefreshes.get(auth);
+}
+
+/**
+ * Returns the token fields of an auth object (sent back to the settings page after refreshes)
+ */
+function getTokenFields(auth) {
+  return {
+    accessToken: auth.accessToken || '',
+    refreshToken: auth.refreshToken || '',
+    tokenExpiresAt: auth.tokenExpiresAt || null
+  };
+}
+
+/**
+ * Returns n random bytes as hex string
+ */
+function randomHex(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 of a UTF-8 string as hex
+ */
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * MD5 of a UTF-8 string as hex (RFC 1321)
+ */
+function md5Hex(text) {
+  const bytes = new TextEncoder().encode(text);
+  const words = new Uint32Array((((bytes.length + 8) >>> 6) + 1) * 16);
+  for (let i = 0; i < bytes.length; i++) {
+    words[i >> 2] |= bytes[i] << ((i % 4) * 8);
+  }
+  words[bytes.length >> 2] |= 0x80 << ((bytes.length % 4) * 8);
+  words[words.length - 2] = bytes.length * 8;
+
+  const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+
+  for (let chunk = 0; chunk < words.length; chunk += 16) {
+    let [a, b, c, d] = state;
+
+    for (let i = 0; i < 64; i++) {
+      let f, g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+      const sum = (a + f + MD5_K[i] + words[chunk + g]) | 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0;
     }
 
-    if (data.mapping && typeof data.mapping === 'object') {
-      taskEventMapping = data.mapping;
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+
+  return state.map(word => {
+    let hex = '';
+    for (let i = 0; i < 4; i++) {
+      hex += ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, '0');
     }
+    return hex;
+  }).join('');
+}
+
+// ============================================================================
+// Accounts (Multiple Servers)
+// ============================================================================
+// The server and credentials at the top of caldavConfig are the default
+// account. caldavConfig.accounts adds more, each with its own server, login
+// and auth method; additional calendars name their account (accountId), so
+// routing rules and hand-made assignments (taskAssignments) pick the account
+// along with the calendar. So do import and busy calendars and the time-sheet
+// calendar (worklogAccountId). Requests find their credentials by URL; the
+// feed is uploaded with the credentials of its account (feedAccountId) only.
+// Tasks of a disabled account, or one without credentials on this device,
+// are paused: their events are neither written nor deleted until it is back.
+
+const DEFAULT_ACCOUNT_ID = 'default';
+
+/**
+ * Returns all accounts; the first one is the default account
+ */
+function getAccounts() {
+  return [
+    {
+      id: DEFAULT_ACCOUNT_ID,
+      name: caldavConfig.accountName || 'Default',
+      enabled: true,
+      serverUrl: caldavConfig.serverUrl
+    },
+    ...(caldavConfig.accounts || [])
+  ];
+}
+
+/**
+ * Returns the object holding the auth fields of an account
+ * For the default account that's caldavConfig itself (token refreshes update it in place).
+ */
+function getAccountAuth(accountId) {
+  if (accountId === DEFAULT_ACCOUNT_ID) return caldavConfig;
+  return (caldavConfig.accounts || []).find(account => account.id === accountId) || caldavConfig;
+}
+
+/**
+ * Returns the display name of an account
+ */
+function getAccountName(accountId) {
+  const account = getAccounts().find(a => a.id === accountId);
+  return account ? (account.name || account.serverUrl || account.id) : accountId;
+}
+
+/**
+ * Returns the id of the account a URL belongs to
+ * Target, import, busy and time-sheet calendars name their account (missing =
+ * default account). Other URLs (events left in calendars removed from the
+ * settings) belong to the account whose server or calendar URLs
+ * share the longest prefix with them on the same origin; else the default account.
+ */
+function getAccountIdForUrl(url) {
+  const calendars = getCalendars();
+  const calendar = calendars.find(c => c.url === url);
+  if (calendar) return calendar.accountId;
+  if (!caldavConfig.accounts || caldavConfig.accounts.length === 0) return DEFAULT_ACCOUNT_ID;
+
+  const configured = [...(caldavConfig.importCalendars || []), ...(caldavConfig.busyCalendars || [])]
+    .find(c => c.url === url);
+  if (configured) return configured.accountId || DEFAULT_ACCOUNT_ID;
+  if (url === caldavConfig.worklogCalendarUrl) return caldavConfig.worklogAccountId || DEFAULT_ACCOUNT_ID;
+
+  const candidates = [
+    ...getAccounts().map(account => ({ accountId: account.id, url: account.serverUrl })),
+    ...calendars.map(c => ({ accountId: c.accountId, url: c.url }))
+  ];
+
+  let best = { accountId: DEFAULT_ACCOUNT_ID, length: 0 };
+  for (const candidate of candidates) {
+    if (!candidate.url || getUrlOrigin(candidate.url) !== getUrlOrigin(url)) continue;
+
+    let length = 0;
+    while (length < url.length && url[length] === candidate.url[length]) length++;
+    if (length > best.length) best = { accountId: candidate.accountId, length };
+  }
+  return best.accountId;
+}
+
+/**
+ * Returns the origin of a URL (null if it can't be parsed)
+ */
+function getUrlOrigin(url) {
+  try {
+    return new URL(url).origin;
   } catch (error) {
-    console.error('[CalDAV Sync] Error loading data:', error);
+    return null;
+  }
+}
+
+/**
+ * Checks if an account can sync on this device
+ * The default account follows the global switch (see isSyncActive); the
+ * others can be disabled on their own and need their own credentials.
+ */
+function isAccountActive(accountId) {
+  if (accountId === DEFAULT_ACCOUNT_ID) return true;
+  const account = (caldavConfig.accounts || []).find(a => a.id === accountId);
+  return !!account && account.enabled !== false && hasCredentials(account);
+}
+
+/**
+ * Checks if the account of a calendar URL can sync on this device
+ */
+function isCalendarUrlActive(url) {
+  return isAccountActive(getAccountIdForUrl(url));
+}
+
+/**
+ * Checks if a task waits for a disabled account: either its target calendar
+ * or the calendar its event currently lives in belongs to one
+ */
+function isTaskPaused(task) {
+  if (!caldavConfig.accounts || caldavConfig.accounts.length === 0) return false;
+  if (!isAccountActive(getCalendarForTask(task).accountId)) return true;
+  return !!taskEventMapping[task.id] && !isCalendarUrlActive(getEventCalendarUrl(task.id));
+}
+
+/**
+ * Returns the names of the enabled accounts that have no credentials on this device
+ */
+function getAccountsMissingCredentials() {
+  return (caldavConfig.accounts || [])
+    .filter(account => account.enabled !== false && !hasCredentials(account))
+    .map(account => account.name || account.serverUrl || account.id);
+}
+
+/**
+ * Removes an account with its calendars (including its import, busy and
+ * time-sheet calendars), and the routing rules and assignments pointing to them. With options.cleanup, the events the plugin
+ * created in those calendars are deleted first; otherwise they stay on the
+ * server, untracked. Tasks routed there go to the default calendar afterwards.
+ * Returns { deleted, errors }
+ */
+async function removeAccount(accountId, options = {}) {
+  const account = (caldavConfig.accounts || []).find(a => a.id === accountId);
+  if (!account) throw new Error(`Unknown account: ${accountId}`);
+
+  const belongsToAccount = url => getAccountIdForUrl(url) === accountId;
+  const calendarIds = new Set(getCalendars().filter(c => c.accountId === accountId).map(c => c.id));
+  const result = { deleted: 0, errors: 0 };
+
+  // Every event the plugin tracks in the account: tasks, series, worked time
+  const events = [
+    ...Object.keys(taskEventMapping)
+      .filter(taskId => belongsToAccount(getEventCalendarUrl(taskId)))
+      .map(taskId => ({ mapping: taskEventMapping, key: taskId, calendarUrl: getEventCalendarUrl(taskId), uid: getEventUid(taskId) })),
+    ...Object.keys(seriesEventMapping)
+      .filter(cfgId => belongsToAccount(seriesEventMapping[cfgId].calendarUrl))
+      .map(cfgId => ({ mapping: seriesEventMapping, key: cfgId, ...seriesEventMapping[cfgId] })),
+    ...Object.keys(worklogMapping)
+      .filter(key => belongsToAccount(worklogMapping[key].calendarUrl))
+      .map(key => ({ mapping: worklogMapping, key, ...worklogMapping[key] }))
+  ];
+
+  if (options.cleanup) {
+    // Deleted regardless of server-side changes: the user asked for the account's events to go
+    await runConcurrently(events, async (item) => {
+      try {
+        await deleteCalDAVEvent(item.calendarUrl, item.uid);
+        result.deleted++;
+      } catch (error) {
+        console.error('[CalDAV Sync] Error deleting event of removed account:', item.uid, error);
+        result.errors++;
+      }
+    });
+  }
+
+  for (const item of events) {
+    delete item.mapping[item.key];
+    if (item.mapping === taskEventMapping) delete operationQueue[item.key];
+  }
+
+  caldavConfig = {
+    ...caldavConfig,
+    accounts: caldavConfig.accounts.filter(a => a.id !== accountId),
+    calendars: (caldavConfig.calendars || []).filter(calendar => !calendarIds.has(calendar.id)),
+    routingRules: (caldavConfig.routingRules || []).filter(rule => !calendarIds.has(rule.calendarId)),
+    importCalendars: (caldavConfig.importCalendars || []).filter(calendar => calendar.accountId !== accountId),
+    busyCalendars: (caldavConfig.busyCalendars || []).filter(calendar => calendar.accountId !== accountId)
+  };
+  if (caldavConfig.worklogAccountId === accountId) {
+    caldavConfig = { ...caldavConfig, worklogEnabled: false, worklogCalendarUrl: '', worklogAccountId: DEFAULT_ACCOUNT_ID };
+  }
+  if (caldavConfig.feedAccountId === accountId) {
+    caldavConfig = { ...caldavConfig, feedEnabled: false, feedUrl: '', feedAccountId: DEFAULT_ACCOUNT_ID };
+  }
+  for (const taskId of Object.keys(taskAssignments)) {
+    if (calendarIds.has(taskAssignments[taskId])) delete taskAssignments[taskId];
+  }
+
+  logActivity('info', 'config', options.cleanup
+    ? `Account "${account.name || account.serverUrl}" removed, ${result.deleted} events deleted, ${result.errors} errors`
+    : `Account "${account.name || account.serverUrl}" removed, its events were kept`);
+  scheduleQueueDrain();
+  await saveData();
+
+  return result;
+}
+
+/**
+ * Assigns a task to a calendar by hand (calendarId), or back to the routing
+ * rules (no calendarId), and syncs it, which moves its event if needed
+ */
+async function assignTaskCalendar(taskId, calendarId) {
+  if (calendarId && !getCalendars().some(c => c.id === calendarId)) {
+    throw new Error(`Unknown calendar: ${calendarId}`);
+  }
+
+  if (calendarId) {
+    taskAssignments[taskId] = calendarId;
+  } else {
+    delete taskAssignments[taskId];
+  }
+  await saveData();
+
+  const tasks = await PluginAPI.getTasks();
+  const task = tasks.find(t => t.id === taskId);
+  if (task && shouldSyncTask(task)) {
+    await syncTaskToCalDAV(task, { tasks });
+  }
+}
+
+// ============================================================================
+// Rate Limiting & Concurrency
+// ============================================================================
+// Bulk operations run up to caldavConfig.syncConcurrency requests at a time
+// (see runConcurrently). When the server answers 429 Too Many Requests, or
+// 503 with a Retry-After header, all requests pause until the given time
+// (or an exponential backoff without one) and the request is retried. Longer
+// waits are left to the offline queue, which also honours Retry-After.
+
+// Requests are held back until this time after a 429/503 (shared by parallel requests)
+let rateLimitedUntil = 0;
+
+// Retries per request: 2s, 4s, 8s without Retry-After; longer waits than 2 min go to the queue
+const RATE_LIMIT_RETRIES = 3;
+const RATE_LIMIT_BASE_WAIT = 2000;
+const RATE_LIMIT_MAX_WAIT = 120000;
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date) into milliseconds
+ * Returns null if the header is missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Sends a request, waiting out the server's rate limits
+ * If the server keeps refusing, the last response is returned.
+ */
+async function sendRateLimited(send) {
+  for (let attempt = 0; ; attempt++) {
+    const wait = rateLimitedUntil - Date.now();
+    if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+
+    const response = await send();
+    if (response.status !== 429 && response.status !== 503) return response;
+
+    // 503 without Retry-After usually means the server is down - that's for the offline queue
+    const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    if (response.status === 503 && retryAfter === null) return response;
+
+    const backoff = retryAfter !== null ? retryAfter : RATE_LIMIT_BASE_WAIT * 2 ** attempt;
+    if (attempt >= RATE_LIMIT_RETRIES || backoff > RATE_LIMIT_MAX_WAIT) return response;
+
+    rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + backoff);
+    console.warn(`[CalDAV Sync] Rate limited (${response.status}), retrying in ${Math.ceil(backoff / 1000)}s`);
+  }
+}
+
+/**
+ * Returns the configured number of parallel requests for bulk operations
+ */
+function getSyncConcurrency() {
+  const limit = parseInt(caldavConfig.syncConcurrency, 10);
+  return Math.min(10, Math.max(1, limit || 4));
+}
+
+/**
+ * Runs worker(item) for all items, at most `limit` at a time
+ * Workers should handle their own errors; the first uncaught one rejects.
+ */
+async function runConcurrently(items, worker, limit = getSyncConcurrency()) {
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+}
+
+// ============================================================================
+// Timezones (TZID / VTIMEZONE)
+// ============================================================================
+// Timed events are written in the configured timezone (default: system zone)
+// with a matching VTIMEZONE, so clients show them in the right zone and
+// recurring times follow DST. The VTIMEZONE is derived from Intl: the DST
+// transitions of the event's year become yearly RRULE observances.
+
+// Cached Intl formatters and VTIMEZONE blocks per timezone (and year)
+const zoneFormatters = {};
+const vtimezoneCache = {};
+
+/**
+ * Checks if Intl knows a timezone name
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns the timezone for event times: the configured one, or the system timezone
+ */
+function getTimezone() {
+  if (caldavConfig.timezone && isValidTimezone(caldavConfig.timezone)) {
+    return caldavConfig.timezone;
+  }
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+/**
+ * Returns the wall-clock parts { year, month, day, hour, minute, second } of a timestamp in a timezone
+ */
+function getZonedParts(timestamp, timezone) {
+  if (!zoneFormatters[timezone]) {
+    zoneFormatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+
+  const parts = {};
+  for (const part of zoneFormatters[timezone].formatToParts(new Date(timestamp))) {
+    parts[part.type] = part.value;
+  }
+  return parts;
+}
+
+/**
+ * Returns the UTC offset of a timezone at a timestamp (minutes east of UTC)
+ */
+function getTimezoneOffset(timestamp, timezone) {
+  const parts = getZonedParts(timestamp, timezone);
+  const wallClock = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return Math.round((wallClock - Math.floor(timestamp / 1000) * 1000) / 60000);
+}
+
+/**
+ * Formats a timestamp as iCalendar DateTime in a timezone (without suffix)
+ */
+function formatICalDateTimeInZone(timestamp, timezone) {
+  const parts = getZonedParts(timestamp, timezone);
+  return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+}
+
+/**
+ * Converts a wall-clock time in a timezone to a timestamp (ms)
+ */
+function zonedTimeToTimestamp(year, month, day, hours, minutes, seconds, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  // Second pass corrects guesses that land on the other side of a DST change
+  const guess = wallClock - getTimezoneOffset(wallClock, timezone) * 60000;
+  return wallClock - getTimezoneOffset(guess, timezone) * 60000;
+}
+
+/**
+ * Returns the day ("YYYY-MM-DD") of a timestamp in the event timezone (see getTimezone)
+ */
+function getZonedDay(timestamp) {
+  const parts = getZonedParts(timestamp, getTimezone());
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Returns the timestamp of a "HH:MM" time (default: midnight) on a "YYYY-MM-DD"
+ * day in the event timezone (see getTimezone)
+ */
+function getZonedTime(day, time = '00:00') {
+  const [year, month, date] = day.split('-').map(Number);
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return zonedTimeToTimestamp(year, month, date, hours || 0, minutes || 0, 0, getTimezone());
+}
+
+/**
+ * Formats an UTC offset in minutes as "+HHMM"
+ */
+function formatUtcOffset(offset) {
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+  return `${sign}${hours}${minutes}`;
+}
+
+/**
+ * Finds the offset changes of a timezone in a year: [{ at, from, to }]
+ * Scans day by day, then narrows each change down to the minute
+ */
+function findTimezoneTransitions(timezone, year) {
+  const transitions = [];
+  const end = Date.UTC(year + 1, 0, 1);
+  let time = Date.UTC(year, 0, 1);
+  let offset = getTimezoneOffset(time, timezone);
+
+  while (time < end) {
+    const next = time + 86400000;
+    const nextOffset = getTimezoneOffset(next, timezone);
+
+    if (nextOffset !== offset) {
+      let low = time;
+      let high = next;
+      while (high - low > 60000) {
+        const mid = low + Math.floor((high - low) / 120000) * 60000;
+        if (getTimezoneOffset(mid, timezone) === offset) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      transitions.push({ at: high, from: offset, to: nextOffset });
+      offset = nextOffset;
+    }
+
+    time = next;
+  }
+
+  return transitions;
+}
+
+/**
+ * Builds the VTIMEZONE component of a timezone, valid for the year of a timestamp
+ * Each DST transition becomes a yearly observance (e.g. BYMONTH=3;BYDAY=-1SU).
+ * Returns [component], or [] for UTC (written with the "Z" suffix).
+ */
+function buildVTimezone(timezone, timestamp) {
+  if (timezone === 'UTC') return [];
+
+  const year = new Date(timestamp).getUTCFullYear();
+  const cacheKey = `${timezone}/${year}`;
+  if (vtimezoneCache[cacheKey]) return vtimezoneCache[cacheKey];
+
+  const weekdays = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+  const transitions = findTimezoneTransitions(timezone, year);
+  const observances = [];
+
+  if (transitions.length === 0) {
+    const offset = formatUtcOffset(getTimezoneOffset(timestamp, timezone));
+    observances.push(icalComponent('STANDARD', [
+      icalProp('DTSTART', '19700101T000000'),
+      icalProp('TZOFFSETFROM', offset),
+      icalProp('TZOFFSETTO', offset)
+    ]));
+  }
+
+  for (const transition of transitions) {
+    // Observance start = local time before the change (in the old offset)
+    const local = new Date(transition.at + transition.from * 60000);
+    const day = local.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+    const type = transition.to > transition.from ? 'DAYLIGHT' : 'STANDARD';
+
+    observances.push(icalComponent(type, [
+      icalProp('DTSTART', formatICalDateTimeUTC(local).slice(0, -1)),
+      icalProp('RRULE', `FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${week}${weekdays[local.getUTCDay()]}`),
+      icalProp('TZOFFSETFROM', formatUtcOffset(transition.from)),
+      icalProp('TZOFFSETTO', formatUtcOffset(transition.to))
+    ]));
+  }
+
+  vtimezoneCache[cacheKey] = [icalComponent('VTIMEZONE', [icalProp('TZID', timezone)], observances)];
+  return vtimezoneCache[cacheKey];
+}
+
+// ============================================================================
+// Calendar Discovery (RFC 6764 / RFC 4791)
+// ============================================================================
+// Server URL → /.well-known/caldav → current-user-principal → calendar-home-set
+// → calendar collections. Used by the settings view to offer a calendar picker.
+
+/**
+ * Ensures a collection URL ends with a slash
+ */
+function ensureTrailingSlash(url) {
+  return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Sends a PROPFIND request
+ * Returns one { url, baseUrl, node } per <response>, with the href resolved to an absolute URL
+ */
+async function propfind(url, depth, props, auth) {
+  const body = [
+    '<?xml version="1.0" encoding="utf-8" ?>',
+    '<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:ic="http://apple.com/ns/ical/">',
+    '  <d:prop>',
+    ...props.map(prop => `    <${prop}/>`),
+    '  </d:prop>',
+    '</d:propfind>'
+  ].join('\n');
+
+  const response = await caldavFetch(url, {
+    method: 'PROPFIND',
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Depth': String(depth)
+    },
+    body
+  }, auth);
+
+  if (!response.ok) {
+    throw createHttpError('PROPFIND', response);
+  }
+
+  // After redirects (e.g. /.well-known/caldav) hrefs are relative to the final URL
+  const baseUrl = response.url || url;
+  const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+
+  return Array.from(xml.getElementsByTagNameNS(DAV_NS, 'response')).map(node => {
+    const hrefNode = node.getElementsByTagNameNS(DAV_NS, 'href')[0];
+    const href = hrefNode ? hrefNode.textContent.trim() : '';
+    return { url: new URL(href, baseUrl).href, baseUrl, node };
+  });
+}
+
+/**
+ * Returns the text content of a property, or null if missing/empty
+ */
+function getPropText(node, namespace, name) {
+  const prop = node.getElementsByTagNameNS(namespace, name)[0];
+  const text = prop ? prop.textContent.trim() : '';
+  return text || null;
+}
+
+/**
+ * Returns the <href> inside a property (e.g. current-user-principal) as absolute URL
+ */
+function getPropHref(node, namespace, name, baseUrl) {
+  const prop = node.getElementsByTagNameNS(namespace, name)[0];
+  const hrefNode = prop && prop.getElementsByTagNameNS(DAV_NS, 'href')[0];
+  return hrefNode ? new URL(hrefNode.textContent.trim(), baseUrl).href : null;
+}
+
+/**
+ * Discovers the calendars of an account, starting from a server (or calendar) URL
+ * Returns { homeUrl, calendars: [{ url, displayName, color, components }] }
+ */
+async function discoverCalendars(serverUrl, auth) {
+  const startUrl = ensureTrailingSlash(serverUrl.trim());
+  const candidates = [new URL('/.well-known/caldav', startUrl).href, startUrl];
+
+  let principalUrl = null;
+  for (const candidate of candidates) {
+    try {
+      const [result] = await propfind(candidate, 0, ['d:current-user-principal'], auth);
+      principalUrl = result && getPropHref(result.node, DAV_NS, 'current-user-principal', result.baseUrl);
+      if (principalUrl) break;
+    } catch (error) {
+      // Wrong credentials won't get better with the next candidate
+      if (error.status === 401 || error.status === 403) throw error;
+      console.log('[CalDAV Sync] Discovery: no principal at', candidate, error.message);
+    }
+  }
+
+  let homeUrl = null;
+  if (principalUrl) {
+    const [result] = await propfind(principalUrl, 0, ['c:calendar-home-set'], auth);
+    homeUrl = result && getPropHref(result.node, CALDAV_NS, 'calendar-home-set', result.baseUrl);
+  }
+
+  // Without principal/home set, the entered URL may already be the home or a calendar
+  homeUrl = ensureTrailingSlash(homeUrl || startUrl);
+
+  const results = await propfind(homeUrl, 1, [
+    'd:resourcetype',
+    'd:displayname',
+    'ic:calendar-color',
+    'c:supported-calendar-component-set'
+  ], auth);
+
+  const calendars = results
+    .filter(({ node }) => {
+      const resourceType = node.getElementsByTagNameNS(DAV_NS, 'resourcetype')[0];
+      return resourceType && resourceType.getElementsByTagNameNS(CALDAV_NS, 'calendar').length > 0;
+    })
+    .map(({ url, node }) => {
+      const color = getPropText(node, APPLE_ICAL_NS, 'calendar-color');
+      return {
+        url: ensureTrailingSlash(url),
+        displayName: getPropText(node, DAV_NS, 'displayname') ||
+          decodeURIComponent(url.split('/').filter(Boolean).pop()),
+        color: color ? color.slice(0, 7) : null, // "#RRGGBBAA" → "#RRGGBB"
+        components: Array.from(node.getElementsByTagNameNS(CALDAV_NS, 'comp')).map(comp => comp.getAttribute('name'))
+      };
+    });
+
+  return { homeUrl, calendars };
+}
+
+/**
+ * Creates a new calendar collection in the calendar home via MKCALENDAR
+ * Returns the created calendar in the format of discoverCalendars
+ */
+async function createCalendar(homeUrl, name, auth) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'super-productivity';
+  const url = `${ensureTrailingSlash(homeUrl)}${slug}/`;
+  const components = ['VEVENT', 'VTODO']; // Supports both sync modes
+
+  const body = [
+    '<?xml version="1.0" encoding="utf-8" ?>',
+    '<c:mkcalendar xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">',
+    '  <d:set>',
+    '    <d:prop>',
+    `      <d:displayname>${escapeHtml(name)}</d:displayname>`,
+    '      <c:supported-calendar-component-set>',
+    ...components.map(comp => `        <c:comp name="${comp}"/>`),
+    '      </c:supported-calendar-component-set>',
+    '    </d:prop>',
+    '  </d:set>',
+    '</c:mkcalendar>'
+  ].join('\n');
+
+  const response = await caldavFetch(url, {
+    method: 'MKCALENDAR',
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8'
+    },
+    body
+  }, auth);
+
+  if (response.status === 405) {
+    throw new Error(`A calendar already exists at ${url}`);
+  }
+
+  if (!response.ok) {
+    console.error('[CalDAV Sync] MKCALENDAR error:', response.status, response.statusText);
+    throw createHttpError('MKCALENDAR', response);
+  }
+
+  return { url, displayName: name, color: null, components };
+}
+
+// ============================================================================
+// iCalendar Parsing
+// ============================================================================
+
+/**
+ * Parses the first VEVENT or VTODO of an iCalendar document
+ * Returns { uid, allDay, start, end, title, notes, done, cancelled, recurrenceId } (see getTaskEventFields) or null
+ */
+function parseICalEvent(icsData) {
+  return parseICalEvents(icsData)[0] || null;
+}
+
+/**
+ * Parses all VEVENTs and VTODOs of an iCalendar document (e.g. expanded recurrence instances)
+ * Components without UID or start are skipped
+ */
+function parseICalEvents(icsData) {
+  const events = [];
+
+  for (const calendar of parseICal(icsData)) {
+    // Components are expected inside the VCALENDAR, but accept them at the top level too
+    const components = calendar.name === 'VCALENDAR' ? calendar.components : [calendar];
+
+    for (const component of components) {
+      if (component.name !== 'VEVENT' && component.name !== 'VTODO') continue;
+
+      // Nested components (e.g. VALARM) are not looked at
+      const props = {};
+      for (const property of component.properties) props[property.name] = property;
+
+      const event = createParsedEvent(props);
+      if (event) events.push(event);
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Converts the properties of one component into a parsed event (or null)
+ */
+function createParsedEvent(props) {
+  // To-dos without DTSTART are anchored at their DUE date (see createTodoFromTask)
+  const startProp = props.DTSTART || props.DUE;
+  if (!props.UID || !startProp) return null;
+
+  const start = parseICalDate(startProp);
+  if (start === null) return null;
+
+  const allDay = typeof start === 'string';
+  const endProp = props.DTSTART ? (props.DTEND || props.DUE) : null;
+  const end = !allDay && endProp ? parseICalDate(endProp) : null;
+  const status = props.STATUS ? props.STATUS.value.toUpperCase() : '';
+
+  return {
+    uid: props.UID.value,
+    allDay,
+    start,
+    end,
+    title: props.SUMMARY ? unescapeICalText(props.SUMMARY.value) : '',
+    notes: props.DESCRIPTION ? unescapeICalText(props.DESCRIPTION.value) : '',
+    done: status === 'COMPLETED',
+    transparent: !!props.TRANSP && props.TRANSP.value.toUpperCase() === 'TRANSPARENT',
+    cancelled: status === 'CANCELLED',
+    recurrenceId: props['RECURRENCE-ID'] ? props['RECURRENCE-ID'].value : null
+  };
+}
+
+/**
+ * Parses an iCalendar DATE or DATE-TIME property
+ * DATE values become "YYYY-MM-DD", DATE-TIME values become timestamps (ms).
+ * TZID times are converted from their timezone; floating times and unknown
+ * (e.g. Windows) timezone names are interpreted in the local timezone.
+ */
+function parseICalDate(prop) {
+  const value = prop.value.trim();
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+
+  if (hours === undefined || String(prop.params.VALUE).toUpperCase() === 'DATE') {
+    return `${year}-${month}-${day}`;
+  }
+
+  if (utc) {
+    return Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds);
+  }
+
+  const timezone = typeof prop.params.TZID === 'string' ? prop.params.TZID.replace(/^\//, '') : null;
+  if (timezone && isValidTimezone(timezone)) {
+    return zonedTimeToTimestamp(+year, +month, +day, +hours, +minutes, +seconds, timezone);
+  }
+
+  return new Date(+year, +month - 1, +day, +hours, +minutes, +seconds).getTime();
+}
+
+// ============================================================================
+// Two-Way Sync (Calendar → Tasks)
+// ============================================================================
+// Each mapping entry keeps the event fields as last synced. Comparing both
+// sides against that snapshot tells us who changed:
+// - only the calendar changed → the task is updated from the event
+// - only the task changed     → the task is pushed (regular one-way sync)
+// - both changed (conflict)   → caldavConfig.conflictResolution decides
+
+/**
+ * Builds the PluginAPI task update that applies event fields to a task
+ */
+function getTaskChangesFromEvent(task, fields) {
+  const changes = {};
+
+  if (fields.title !== (task.title || '')) changes.title = fields.title;
+  if (fields.notes !== (task.notes || '')) changes.notes = fields.notes;
+  if (fields.done !== !!task.isDone) changes.isDone = fields.done;
+
+  if (fields.allDay) {
+    if (task.dueDay !== fields.start) changes.dueDay = fields.start;
+    if (task.plannedAt) changes.plannedAt = null;
+    if (task.dueWithTime) changes.dueWithTime = null;
+  } else {
+    // Keep the field the task was scheduled with
+    const timeField = task.plannedAt ? 'plannedAt' : 'dueWithTime';
+    if (task[timeField] !== fields.start) changes[timeField] = fields.start;
+
+    // Done events ending after the time spent don't tell the estimate
+    if (fields.end && fields.end > fields.start && getEventDuration(task) === (task.timeEstimate || 3600000)) {
+      const estimate = fields.end - fields.start;
+      if (estimate !== (task.timeEstimate || 3600000)) changes.timeEstimate = estimate;
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Converts a parsed event into a field snapshot (see getTaskEventFields)
+ * Events without DTEND keep the task's current duration; title and notes are
+ * cut out of the rendered templates (see extractTemplateField). If completed
+ * tasks are kept, events marked done (see isEventMarkedDone) are done.
+ */
+function getEventFieldsFromEvent(event, task) {
+  const values = getTemplateValues(task);
+  const prefix = caldavConfig.completedPrefix || '';
+  const markedDone = !event.done && !caldavConfig.deleteCompletedTasks &&
+    getCalendarForTask(task).componentType !== 'VTODO' && isEventMarkedDone(event);
+  const title = markedDone && prefix ? event.title.slice(prefix.length) : event.title || '';
+
+  return {
+    allDay: event.allDay,
+    start: event.start,
+    end: event.allDay ? null : (event.end || getTaskEventFields(task).end),
+    title: extractTemplateField(getSummaryTemplate(), 'title', title, values),
+    notes: extractTemplateField(getDescriptionTemplate(), 'notes', stripChecklist(event.notes) || '', values),
+    done: event.done || markedDone
+  };
+}
+
+/**
+ * Applies server-side event fields to a task and records them as synced,
+ * with the hash of the updated task's event data (see buildEventData)
+ * Returns true if the task was updated
+ */
+async function applyEventToTask(task, fields, etag, tasks) {
+  const changes = getTaskChangesFromEvent(task, fields);
+  const { hash, completedAt } = await buildEventData({ ...task, ...changes }, tasks);
+
+  // Store the snapshot first so the resulting TASK_UPDATE hook finds the task in sync
+  taskEventMapping[task.id] = {
+    uid: getEventUid(task.id),
+    calendarUrl: getEventCalendarUrl(task.id),
+    etag,
+    fields,
+    hash,
+    completedAt
+  };
+  await saveData();
+
+  if (Object.keys(changes).length === 0) return false;
+
+  console.log('[CalDAV Sync] Applying calendar changes to task:', task.id, changes);
+  await PluginAPI.updateTask(task.id, changes);
+
+  syncStatus[task.id] = { lastSync: Date.now(), lastError: null };
+  logActivity('info', 'pull', `Task updated from calendar (${Object.keys(changes).join(', ')})`, task);
+  await saveData();
+  return true;
+}
+
+/**
+ * Pulls plugin-created events from the calendar and applies calendar-side
+ * edits to the corresponding tasks. Returns the number of updated tasks.
+ */
+async function pullCalendarChanges() {
+  if (!isSyncActive() || !caldavConfig.twoWaySync) return 0;
+
+  const events = [];
+  for (const calendar of getActiveCalendars()) {
+    events.push(...await fetchCalDAVEvents(calendar));
+  }
+
+  const tasks = await PluginAPI.getTasks();
+  const tasksById = new Map(tasks.map(t => [t.id, t]));
+  await refreshTaskMeta(); // For reading title/notes back out of the templates
+
+  let updatedCount = 0;
+
+  for (const event of events) {
+    const taskId = event.uid.slice('sp-task-'.length);
+    const task = tasksById.get(taskId);
+    if (!task || !shouldSyncTask(task)) continue;
+
+    // Only look at the copy in the calendar the event is tracked in (or will be created in)
+    const entry = taskEventMapping[taskId];
+    const expectedCalendarUrl = entry ? getEventCalendarUrl(taskId) : getCalendarForTask(task).url;
+    if (event.calendarUrl !== expectedCalendarUrl) continue;
+
+    const lastSynced = entry && entry.fields;
+    const taskFields = getTaskEventFields(task);
+    const serverFields = getEventFieldsFromEvent(event, task);
+
+    if (eventFieldsEqual(serverFields, taskFields)) {
+      if (!eventFieldsEqual(lastSynced, serverFields) || entry.etag !== event.etag) {
+        // Keep the hash of the last write: local changes the fields don't cover are still pushed
+        const hash = entry && entry.hash ? entry.hash : (await buildEventData(task, tasks)).hash;
+        taskEventMapping[taskId] = {
+          uid: event.uid,
+          calendarUrl: event.calendarUrl,
+          etag: event.etag,
+          fields: serverFields,
+          hash,
+          completedAt: entry && entry.completedAt
+        };
+        await saveData();
+      }
+      continue;
+    }
+
+    const serverChanged = !eventFieldsEqual(serverFields, lastSynced);
+    const taskChanged = !eventFieldsEqual(taskFields, lastSynced);
+
+    if (!serverChanged) continue; // Task side changed only → pushed by the regular sync
+
+    if (taskChanged && caldavConfig.conflictResolution !== 'calendar') {
+      console.log('[CalDAV Sync] Conflict, task wins:', taskId);
+      // We just saw the server version, so overwrite exactly that one
+      taskEventMapping[taskId] = { ...entry, uid: event.uid, calendarUrl: event.calendarUrl, etag: event.etag };
+      await syncTaskToCalDAV(task, { force: true, tasks });
+      continue;
+    }
+
+    if (!entry) {
+      taskEventMapping[taskId] = { uid: event.uid, calendarUrl: event.calendarUrl };
+    }
+
+    if (await applyEventToTask(task, serverFields, event.etag, tasks)) {
+      updatedCount++;
+    }
+  }
+
+  return updatedCount;
+}
+
+/**
+ * (Re)starts the periodic calendar pull according to the current config
+ */
+function startPullTimer() {
+  if (pullTimer) {
+    clearInterval(pullTimer);
+    pullTimer = null;
+  }
+
+  if (!isSyncActive() || !caldavConfig.twoWaySync) return;
+
+  const minutes = Math.max(1, Number(caldavConfig.pullInterval) || 5);
+  pullTimer = setInterval(async () => {
+    try {
+      const updatedCount = await pullCalendarChanges();
+      if (updatedCount > 0) {
+        PluginAPI.showSnack({
+          msg: `${updatedCount} tasks updated from calendar`,
+          type: 'SUCCESS'
+        });
+      }
+    } catch (error) {
+      console.error('[CalDAV Sync] Error pulling calendar changes:', error);
+    }
+  }, minutes * 60000);
+}
+
+// ============================================================================
+// Alarms (VALARM)
+// ============================================================================
+// A task's reminder (task.remindAt) becomes a VALARM with an absolute trigger,
+// so the calendar app warns even while Super Productivity is closed. Default
+// alarms (caldavConfig.alarmsTimed / alarmsAllDay, minutes before the start)
+// are added relative to the start (to-dos without DTSTART: relative to DUE).
+// With caldavConfig.alarmMode 'drop', events carry no alarms at all. Alarms are
+// part of the event data, so a changed reminder changes the hash and the event
+// is written again.
+
+// Reminder options of repeat configs → minutes before the start
+const REPEAT_REMINDER_MINUTES = { AtStart: 0, m5: 5, m10: 10, m15: 15, m30: 30, h1: 60 };
+
+/**
+ * Formats minutes before the start as a relative TRIGGER value, e.g. -PT15M, -P1D, PT9H
+ */
+function formatAlarmTrigger(minutesBefore) {
+  let minutes = Math.abs(minutesBefore);
+  const days = Math.floor(minutes / 1440);
+  minutes -= days * 1440;
+  const hours = Math.floor(minutes / 60);
+  minutes -= hours * 60;
+
+  let time = '';
+  if (hours > 0) time += `${hours}H`;
+  if (minutes > 0) time += `${minutes}M`;
+  if (!days && !time) time = '0M';
+
+  return `${minutesBefore > 0 ? '-' : ''}P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+/**
+ * Returns the VALARM components of an event or to-do
+ * options: allDay, relatedToDue (to-dos without DTSTART), reminderMinutes
+ * (relative reminder of a repeat config instead of task.remindAt)
+ */
+function getAlarmComponents(task, options = {}) {
+  if (caldavConfig.alarmMode === 'drop') return [];
+
+  const related = options.relatedToDue ? { RELATED: 'END' } : {};
+  const triggers = [];
+
+  const defaults = (options.allDay ? caldavConfig.alarmsAllDay : caldavConfig.alarmsTimed) || [];
+  const minutesBefore = new Set(defaults.filter(Number.isFinite));
+
+  if (typeof task.remindAt === 'number') {
+    // A reminder that matches a default alarm replaces it
+    const start = options.allDay ? null : task.plannedAt || task.dueWithTime;
+    if (start) minutesBefore.delete((start - task.remindAt) / 60000);
+    triggers.push(icalProp('TRIGGER', formatICalDateTimeUTC(new Date(task.remindAt)), { VALUE: 'DATE-TIME' }));
+  } else if (options.reminderMinutes !== undefined) {
+    minutesBefore.add(options.reminderMinutes);
+  }
+
+  for (const minutes of minutesBefore) {
+    triggers.push(icalProp('TRIGGER', formatAlarmTrigger(minutes), related));
+  }
+
+  return triggers.map(trigger => icalComponent('VALARM', [
+    icalProp('ACTION', 'DISPLAY'),
+    icalText('DESCRIPTION', task.title || 'Reminder'),
+    trigger
+  ]));
+}
+
+// ============================================================================
+// Event Templates (SUMMARY / DESCRIPTION, CATEGORIES, URL, COLOR)
+// ============================================================================
+// SUMMARY and DESCRIPTION are rendered from caldavConfig.summaryTemplate and
+// descriptionTemplate, e.g. "[{project}] {title}" (placeholders: see
+// getTemplateValues). When an event is read back, the {title} / {notes} part
+// is cut out of the rendered text again, so two-way sync keeps working.
+// Optionally tags become CATEGORIES and the project color becomes COLOR
+// (RFC 7986); tasks imported from Jira, GitHub etc. get a URL from the
+// pattern configured for their issue provider (caldavConfig.issueUrlTemplates).
+
+const DEFAULT_SUMMARY_TEMPLATE = '{title}';
+const DEFAULT_DESCRIPTION_TEMPLATE = '{notes}';
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+// Stands in for the extracted field while rendering (see extractTemplateField)
+const TEMPLATE_MARKER = '\u0000';
+
+// Projects and tags by id, refreshed at most once per TASK_META_MAX_AGE (see refreshTaskMeta)
+let projectsById = new Map();
+let tagsById = new Map();
+let taskMetaLoadedAt = 0;
+const TASK_META_MAX_AGE = 60000;
+
+// COLOR takes a CSS color name (RFC 7986 5.9); project colors map to the nearest of these
+const CSS_COLORS = {
+  black: '000000', gray: '808080', silver: 'c0c0c0', white: 'ffffff',
+  darkred: '8b0000', red: 'ff0000', crimson: 'dc143c', tomato: 'ff6347',
+  coral: 'ff7f50', salmon: 'fa8072', orange: 'ffa500', darkorange: 'ff8c00',
+  gold: 'ffd700', yellow: 'ffff00', khaki: 'f0e68c', olive: '808000',
+  yellowgreen: '9acd32', lime: '00ff00', green: '008000', seagreen: '2e8b57',
+  lightseagreen: '20b2aa', teal: '008080', turquoise: '40e0d0', cyan: '00ffff',
+  deepskyblue: '00bfff', dodgerblue: '1e90ff', steelblue: '4682b4', royalblue: '4169e1',
+  blue: '0000ff', navy: '000080', indigo: '4b0082', mediumpurple: '9370db',
+  purple: '800080', darkviolet: '9400d3', violet: 'ee82ee', magenta: 'ff00ff',
+  deeppink: 'ff1493', hotpink: 'ff69b4', pink: 'ffc0cb', brown: 'a52a2a',
+  sienna: 'a0522d', chocolate: 'd2691e', tan: 'd2b48c'
+};
+
+/**
+ * Reloads the projects and tags if the last load is older than TASK_META_MAX_AGE
+ */
+async function refreshTaskMeta() {
+  if (Date.now() - taskMetaLoadedAt < TASK_META_MAX_AGE) return;
+  taskMetaLoadedAt = Date.now();
+
+  try {
+    const [projects, tags] = await Promise.all([
+      typeof PluginAPI.getAllProjects === 'function' ? PluginAPI.getAllProjects() : [],
+      typeof PluginAPI.getAllTags === 'function' ? PluginAPI.getAllTags() : []
+    ]);
+    projectsById = new Map((projects || []).map(project => [project.id, project]));
+    tagsById = new Map((tags || []).map(tag => [tag.id, tag]));
+  } catch (error) {
+    console.warn('[CalDAV Sync] Could not load projects/tags:', error.message);
+  }
+}
+
+/**
+ * Returns the titles of a task's tags (without the built-in Today tag)
+ */
+function getTaskTagTitles(task) {
+  return (task.tagIds || [])
+    .filter(id => id !== 'TODAY')
+    .map(id => tagsById.get(id))
+    .filter(Boolean)
+    .map(tag => tag.title);
+}
+
+/**
+ * Returns the issue key of an issue task: "ABC-123" for Jira, "#123" for
+ * GitHub/GitLab (both taken from the start of the title), else the issue id
+ */
+function getIssueKey(task) {
+  if (!task.issueId) return '';
+  const match = (task.title || '').match(/^([A-Z][A-Z0-9_]*-\d+|#\d+)\b/);
+  return match ? match[1] : String(task.issueId);
+}
+
+/**
+ * Returns the link to the issue of a task, built from the URL pattern of its
+ * issue provider ({issueId} / {issueKey} placeholders), or ''
+ */
+function getIssueUrl(task) {
+  const template = task.issueId && task.issueProviderId && (caldavConfig.issueUrlTemplates || {})[task.issueProviderId];
+  if (!template) return '';
+
+  return template.replace(/\{(issueId|issueKey)\}/g, (match, name) => encodeURIComponent(
+    name === 'issueId' ? String(task.issueId) : getIssueKey(task).replace(/^#/, '')
+  ));
+}
+
+/**
+ * Returns the placeholder values of a task:
+ * {title} {notes} {project} {tags} {estimate} {timeSpent} {issueKey} {issueId} {issueType} {issueUrl}
+ */
+function getTemplateValues(task) {
+  const project = task.projectId && projectsById.get(task.projectId);
+
+  return {
+    title: task.title || '',
+    notes: task.notes || '',
+    project: project ? project.title || '' : '',
+    tags: getTaskTagTitles(task).join(', '),
+    estimate: task.timeEstimate > 0 ? formatDuration(Math.round(task.timeEstimate / 60000)) : '',
+    timeSpent: task.timeSpent > 0 ? formatDuration(Math.round(task.timeSpent / 60000)) : '',
+    issueKey: getIssueKey(task),
+    issueId: task.issueId ? String(task.issueId) : '',
+    issueType: task.issueId ? task.issueType || '' : '',
+    issueUrl: getIssueUrl(task)
+  };
+}
+
+/**
+ * Replaces the placeholders of a template; unknown placeholders are kept
+ * Lines whose placeholders are all empty (e.g. "Project: {project}" for a task
+ * without project) are left out, as are blank template lines at the start/end.
+ */
+function renderTemplate(template, values) {
+  const isKnown = name => Object.prototype.hasOwnProperty.call(values, name);
+  const lines = [];
+
+  for (const line of template.split('\n')) {
+    const names = Array.from(line.matchAll(PLACEHOLDER_PATTERN), match => match[1]).filter(isKnown);
+    if (names.length > 0 && names.every(name => values[name] === '')) continue;
+
+    lines.push({
+      text: line.replace(PLACEHOLDER_PATTERN, (match, name) => isKnown(name) ? values[name] : match),
+      blank: line.trim() === ''
+    });
+  }
+
+  while (lines.length > 0 && lines[0].blank) lines.shift();
+  while (lines.length > 0 && lines[lines.length - 1].blank) lines.pop();
+
+  return lines.map(line => line.text).join('\n');
+}
+
+function getSummaryTemplate() {
+  return caldavConfig.summaryTemplate || DEFAULT_SUMMARY_TEMPLATE;
+}
+
+function getDescriptionTemplate() {
+  return caldavConfig.descriptionTemplate || DEFAULT_DESCRIPTION_TEMPLATE;
+}
+
+/**
+ * Returns the SUMMARY of a task's event
+ */
+function renderSummary(task) {
+  // SUMMARY is a single line
+  return renderTemplate(getSummaryTemplate(), getTemplateValues(task)).replace(/\n+/g, ' ');
+}
+
+/**
+ * Returns the DESCRIPTION of a task's event (without the subtask checklist)
+ */
+function renderDescription(task) {
+  return renderTemplate(getDescriptionTemplate(), getTemplateValues(task));
+}
+
+/**
+ * Cuts the value of one placeholder (title or notes) out of a rendered text,
+ * using the task's current values for the other placeholders
+ * - Templates without the placeholder: the task's value (not editable in the calendar)
+ * - Text that no longer matches the template around it: the whole text
+ */
+function extractTemplateField(template, name, text, values) {
+  if (!template.includes(`{${name}}`)) return values[name];
+  if (template === `{${name}}`) return text;
+  if (renderTemplate(template, { ...values, [name]: '' }) === text) return '';
+
+  const parts = renderTemplate(template, { ...values, [name]: TEMPLATE_MARKER }).split(TEMPLATE_MARKER);
+  if (parts.length === 2) {
+    const [prefix, suffix] = parts;
+    if (text.length >= prefix.length + suffix.length && text.startsWith(prefix) && text.endsWith(suffix)) {
+      return text.slice(prefix.length, text.length - suffix.length);
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Returns the nearest CSS color name of a project's color, or ''
+ */
+function getProjectColorName(projectId) {
+  const project = projectId && projectsById.get(projectId);
+  const color = project && project.theme && project.theme.primary;
+  const match = /^#?([0-9a-f]{6}|[0-9a-f]{3})$/i.exec(color || '');
+  if (!match) return '';
+
+  const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+  const toRgb = value => [0, 2, 4].map(i => parseInt(value.slice(i, i + 2), 16));
+  const rgb = toRgb(hex);
+
+  let nearest = '';
+  let nearestDistance = Infinity;
+  for (const [name, value] of Object.entries(CSS_COLORS)) {
+    const distance = toRgb(value).reduce((sum, channel, i) => sum + (channel - rgb[i]) ** 2, 0);
+    if (distance < nearestDistance) {
+      nearest = name;
+      nearestDistance = distance;
+    }
+  }
+  return nearest;
+}
+
+/**
+ * Returns the CATEGORIES, URL and COLOR properties of a task's event (as configured)
+ */
+function getTemplateProperties(task) {
+  return [
+    caldavConfig.tagCategories ? icalProp('CATEGORIES', getTaskTagTitles(task).map(escapeICalText).join(',')) : null,
+    icalProp('URL', getIssueUrl(task)),
+    caldavConfig.projectColors ? icalProp('COLOR', getProjectColorName(task.projectId)) : null
+  ].filter(Boolean);
+}
+
+// ============================================================================
+// Subtasks (RELATED-TO / Checklist)
+// ============================================================================
+// caldavConfig.subtaskMode decides how subtasks (task.parentId) show up:
+// - separate:  own events, unrelated to the parent's (default)
+// - related:   own events, linked to the parent's with RELATED-TO (RFC 5545
+//              RELTYPE=PARENT on the subtask, RELTYPE=CHILD on the parent)
+// - checklist: no own events; the parent's DESCRIPTION ends with a checklist
+//              of its subtasks (stripped again when reading the event back)
+// - topLevel:  no own events, subtasks are not synced at all
+// When a task changes, the events of its parent (and with RELATED-TO its
+// subtasks) are updated too, see runTaskHookBatch().
+
+// Heading of the subtask checklist in the parent's DESCRIPTION
+const CHECKLIST_HEADER = 'Subtasks:';
+
+// Parent of each subtask as of the last hook batch, to update the old parent when a subtask moves
+let knownParentIds = new Map();
+
+/**
+ * Checks if subtasks get events of their own in the current subtask mode
+ */
+function hasOwnSubtaskEvent() {
+  const mode = caldavConfig.subtaskMode || 'separate';
+  return mode === 'separate' || mode === 'related';
+}
+
+/**
+ * Collects what the event of a task shows of its parent and subtasks
+ * Returns { parent, subTasks } - loads the tasks only if needed and not given
+ */
+async function getTaskRelations(task, tasks) {
+  const mode = caldavConfig.subtaskMode;
+  const needsParent = mode === 'related' && task.parentId;
+  const needsSubTasks = (mode === 'related' || mode === 'checklist') && (task.subTaskIds || []).length > 0;
+  if (!needsParent && !needsSubTasks) return { parent: null, subTasks: [] };
+
+  const tasksById = new Map((tasks || await PluginAPI.getTasks()).map(t => [t.id, t]));
+
+  return {
+    parent: needsParent ? tasksById.get(task.parentId) || null : null,
+    subTasks: needsSubTasks ? task.subTaskIds.map(id => tasksById.get(id)).filter(Boolean) : []
+  };
+}
+
+/**
+ * Returns the RELATED-TO properties of an event (subtask mode 'related')
+ * Only tasks that have an event of their own are linked.
+ */
+function getRelatedToProperties(relations) {
+  if (caldavConfig.subtaskMode !== 'related') return [];
+
+  const properties = [];
+  if (relations.parent && shouldSyncTask(relations.parent)) {
+    properties.push(icalProp('RELATED-TO', getEventUid(relations.parent.id), { RELTYPE: 'PARENT' }));
+  }
+  for (const subTask of relations.subTasks || []) {
+    if (shouldSyncTask(subTask)) properties.push(icalProp('RELATED-TO', getEventUid(subTask.id), { RELTYPE: 'CHILD' }));
+  }
+  return properties;
+}
+
+/**
+ * Returns the DESCRIPTION of a task's event: its rendered description
+ * template, plus the subtask checklist in subtask mode 'checklist'
+ */
+function getEventDescription(task, relations) {
+  const description = renderDescription(task);
+  const subTasks = caldavConfig.subtaskMode === 'checklist' ? relations.subTasks || [] : [];
+  if (subTasks.length === 0) return description;
+
+  const checklist = [
+    CHECKLIST_HEADER,
+    ...subTasks.map(subTask => `${subTask.isDone ? '[x]' : '[ ]'} ${subTask.title}`)
+  ].join('\n');
+
+  return description ? `${description}\n\n${checklist}` : checklist;
+}
+
+/**
+ * Removes the subtask checklist (see getEventDescription) from event notes
+ */
+function stripChecklist(notes) {
+  if (!notes) return notes;
+
+  const start = notes.startsWith(`${CHECKLIST_HEADER}\n`) ? 0 : notes.lastIndexOf(`\n\n${CHECKLIST_HEADER}\n`);
+  if (start === -1) return notes;
+
+  const items = notes.slice(start).trim().split('\n').slice(1);
+  if (!items.every(line => /^\[[ x]\] /.test(line))) return notes; // Not our checklist
+
+  return notes.slice(0, start);
+}
+
+/**
+ * Returns the ids of tasks whose events show one of the changed tasks:
+ * the (old and new) parents of changed subtasks, and with RELATED-TO also
+ * the subtasks of changed parents
+ */
+function getRelatedTaskIds(changedIds, tasksById) {
+  const mode = caldavConfig.subtaskMode;
+  if (mode !== 'related' && mode !== 'checklist') return [];
+
+  const related = new Set();
+  for (const taskId of changedIds) {
+    const task = tasksById.get(taskId);
+    if (task && task.parentId) related.add(task.parentId);
+    if (knownParentIds.has(taskId)) related.add(knownParentIds.get(taskId));
+    if (mode === 'related' && task) (task.subTaskIds || []).forEach(id => related.add(id));
+  }
+
+  changedIds.forEach(id => related.delete(id));
+  return Array.from(related).filter(id => tasksById.has(id));
+}
+
+// ============================================================================
+// Recurring Tasks (RRULE Series)
+// ============================================================================
+// With caldavConfig.syncRecurring, each repeat config becomes one VEVENT with
+// an RRULE (UID sp-repeat-{cfgId}) instead of one event per instance task.
+// Instances that were moved or renamed become RECURRENCE-ID overrides,
+// deleted instances become EXDATEs. Series are one-way (SP → calendar) and
+// always VEVENT; instances routed to a VTODO calendar are synced one by one.
+
+const REPEAT_WEEKDAYS = [
+  ['monday', 'MO'],
+  ['tuesday', 'TU'],
+  ['wednesday', 'WE'],
+  ['thursday', 'TH'],
+  ['friday', 'FR'],
+  ['saturday', 'SA'],
+  ['sunday', 'SU']
+];
+
+/**
+ * Loads the repeat configs from Super Productivity
+ * Older versions don't expose them to plugins; instances are then synced one by one.
+ */
+async function loadRepeatCfgs() {
+  if (typeof PluginAPI.getAllTaskRepeatCfgs !== 'function') {
+    repeatCfgs = [];
+    return repeatCfgs;
+  }
+
+  try {
+    repeatCfgs = (await PluginAPI.getAllTaskRepeatCfgs()) || [];
+  } catch (error) {
+    console.error('[CalDAV Sync] Error loading repeat configs:', error);
+    repeatCfgs = [];
+  }
+
+  return repeatCfgs;
+}
+
+/**
+ * Checks if a repeat config is exported as a series
+ */
+function isSeriesRepeatCfg(cfg) {
+  return !!cfg && !cfg.isPaused && !!cfg.repeatCycle &&
+    getCalendarForTask(cfg).componentType !== 'VTODO';
+}
+
+/**
+ * Checks if a task is an instance of a repeat config that is exported as a series
+ * (and therefore not synced as a single event)
+ */
+function isRepeatSeriesTask(task) {
+  if (!caldavConfig.syncRecurring || !task.repeatCfgId) return false;
+  return isSeriesRepeatCfg(repeatCfgs.find(cfg => cfg.id === task.repeatCfgId));
+}
+
+/**
+ * Returns the day ("YYYY-MM-DD") a task is scheduled for
+ */
+function getTaskDay(task) {
+  if (task.dueDay) return task.dueDay;
+  return getZonedDay(task.plannedAt || task.dueWithTime || task.created || Date.now());
+}
+
+/**
+ * Builds the RRULE property of a repeat config
+ */
+function buildRRule(cfg) {
+  const parts = [`FREQ=${cfg.repeatCycle}`];
+
+  if (cfg.repeatEvery > 1) {
+    parts.push(`INTERVAL=${cfg.repeatEvery}`);
+  }
+
+  if (cfg.repeatCycle === 'WEEKLY') {
+    const days = REPEAT_WEEKDAYS.filter(([key]) => cfg[key]).map(([, code]) => code);
+    if (days.length > 0) parts.push(`BYDAY=${days.join(',')}`);
+  }
+
+  return icalProp('RRULE', parts.join(';'));
+}
+
+/**
+ * Returns the start of the occurrence of a series on a day
+ * Timed series return a Date (the start time in the event timezone, see
+ * getTimezone, like the RRULE expands it), all-day series the day itself
+ */
+function getOccurrenceStart(cfg, day) {
+  if (!cfg.startTime) return day;
+
+  return new Date(getZonedTime(day, cfg.startTime));
+}
+
+/**
+ * Creates the iCalendar data of a series: master VEVENT with RRULE/EXDATE
+ * plus one RECURRENCE-ID override per instance that deviates from the series
+ */
+function createSeriesFromRepeatCfg(cfg, instances, entry) {
+  const startDay = cfg.startDate || getZonedDay(cfg.lastTaskCreation || Date.now());
+  const duration = cfg.defaultEstimate || 3600000; // Default: 1 hour
+  const dtstamp = icalProp('DTSTAMP', formatICalDateTimeUTC(new Date()));
+  const timezone = getTimezone();
+
+  const formatOccurrence = (name, day) => {
+    const start = getOccurrenceStart(cfg, day);
+    return typeof start === 'string'
+      ? formatICalDateProp(name, start)
+      : formatICalDateTimeProp(name, start, timezone);
+  };
+
+  // The series is rendered like a task with the repeat config's fields
+  const cfgTask = { ...cfg, timeEstimate: cfg.defaultEstimate };
+  const masterDescription = renderDescription(cfgTask);
+  const masterStart = getOccurrenceStart(cfg, startDay);
+  const hasTimes = typeof masterStart !== 'string' || instances.some(task => task.plannedAt || task.dueWithTime);
+  const vtimezone = hasTimes
+    ? buildVTimezone(timezone, typeof masterStart === 'string' ? Date.now() : masterStart.getTime())
+    : [];
+  const master = icalComponent('VEVENT', [
+    icalProp('UID', entry.uid),
+    dtstamp,
+    formatOccurrence('DTSTART', startDay),
+    typeof masterStart === 'string'
+      ? null
+      : formatICalDateTimeProp('DTEND', new Date(masterStart.getTime() + duration), timezone),
+    buildRRule(cfg),
+    ...entry.exdates.map(day => formatOccurrence('EXDATE', day)),
+    icalText('SUMMARY', renderSummary(cfgTask)),
+    icalText('DESCRIPTION', masterDescription),
+    ...getTemplateProperties(cfgTask),
+    icalProp('STATUS', 'CONFIRMED'),
+    icalProp('TRANSP', 'OPAQUE')
+  ], getAlarmComponents({ title: cfg.title }, {
+    allDay: typeof masterStart === 'string',
+    reminderMinutes: REPEAT_REMINDER_MINUTES[cfg.remindAt]
+  }));
+
+  const overrides = [];
+  for (const task of instances) {
+    const day = entry.instances[task.id];
+    const occurrenceStart = getOccurrenceStart(cfg, day);
+    const fields = getTaskEventFields(task);
+
+    const deviates = fields.title !== (cfg.title || '') ||
+      fields.notes !== (cfg.notes || '') ||
+      (typeof occurrenceStart === 'string'
+        ? !fields.allDay || fields.start !== day
+        : fields.allDay || fields.start !== occurrenceStart.getTime() || fields.end !== fields.start + duration);
+    if (!deviates) continue;
+
+    overrides.push(icalComponent('VEVENT', [
+      icalProp('UID', entry.uid),
+      dtstamp,
+      formatOccurrence('RECURRENCE-ID', day),
+      ...(fields.allDay
+        ? [formatICalDateProp('DTSTART', fields.start)]
+        : [
+          formatICalDateTimeProp('DTSTART', new Date(fields.start), timezone),
+          formatICalDateTimeProp('DTEND', new Date(fields.end), timezone)
+        ]),
+      icalText('SUMMARY', renderSummary(task)),
+      icalText('DESCRIPTION', renderDescription(task)),
+      ...getTemplateProperties(task),
+      icalProp('STATUS', 'CONFIRMED'),
+      icalProp('TRANSP', 'OPAQUE')
+    ], getAlarmComponents(task, { allDay: fields.allDay })));
+  }
+
+  return serializeICal(icalCalendar([...vtimezone, master, ...overrides]));
+}
+
+/**
+ * Creates or updates the series of a repeat config (or deletes it if no longer exported)
+ */
+async function syncRepeatSeries(cfgId) {
+  const cfg = repeatCfgs.find(c => c.id === cfgId);
+
+  if (!isSeriesRepeatCfg(cfg)) {
+    await deleteRepeatSeries(cfgId);
+    return;
+  }
+
+  const tasks = await PluginAPI.getTasks();
+  const instances = tasks.filter(task => task.repeatCfgId === cfgId);
+  const previous = seriesEventMapping[cfgId];
+  const entry = {
+    uid: `sp-repeat-${cfgId}`,
+    calendarUrl: previous ? previous.calendarUrl : null,
+    instances: {},
+    exdates: previous ? previous.exdates : []
+  };
+
+  // Remember each instance's original occurrence day when we first see it
+  for (const task of instances) {
+    entry.instances[task.id] = (previous && previous.instances[task.id]) || getTaskDay(task);
+  }
+
+  const calendar = getCalendarForTask(cfg);
+
+  // Paused like single tasks while an account involved is disabled
+  if (!isAccountActive(calendar.accountId) || (entry.calendarUrl && !isCalendarUrlActive(entry.calendarUrl))) return;
+
+  try {
+    await refreshTaskMeta();
+    const eventData = createSeriesFromRepeatCfg(cfg, instances, entry);
+    entry.hash = getEventHash(eventData);
+
+    if (previous && previous.calendarUrl === calendar.url && previous.hash === entry.hash) {
+      seriesEventMapping[cfgId] = entry; // Newly seen instances may still need to be remembered
+      await saveData();
+      return;
+    }
+
+    if (entry.calendarUrl && entry.calendarUrl !== calendar.url) {
+      await deleteCalDAVEvent(entry.calendarUrl, entry.uid);
+    }
+
+    await putCalDAVEvent(calendar.url, entry.uid, eventData);
+
+    entry.calendarUrl = calendar.url;
+    seriesEventMapping[cfgId] = entry;
+    await saveData();
+  } catch (error) {
+    console.error('[CalDAV Sync] Error synchronizing series:', cfgId, error);
+    logActivity('error', 'series', error.message, { title: cfg.title });
+    await saveData();
+    PluginAPI.showSnack({
+      msg: `Error synchronizing repeating task "${cfg.title}": ${error.message}`,
+      type: 'ERROR'
+    });
+  }
+}
+
+/**
+ * Deletes the series event of a repeat config
+ */
+async function deleteRepeatSeries(cfgId) {
+  const entry = seriesEventMapping[cfgId];
+  if (!entry || !isCalendarUrlActive(entry.calendarUrl)) return;
+
+  await deleteCalDAVEvent(entry.calendarUrl, entry.uid);
+  delete seriesEventMapping[cfgId];
+  await saveData();
+}
+
+/**
+ * Syncs all series and removes series of deleted/paused repeat configs
+ */
+async function syncAllRepeatSeries() {
+  await loadRepeatCfgs();
+
+  const activeCfgIds = caldavConfig.syncRecurring
+    ? repeatCfgs.filter(isSeriesRepeatCfg).map(cfg => cfg.id)
+    : [];
+
+  for (const cfgId of activeCfgIds) {
+    await syncRepeatSeries(cfgId);
+  }
+
+  for (const cfgId of Object.keys(seriesEventMapping)) {
+    if (!activeCfgIds.includes(cfgId)) {
+      try {
+        await deleteRepeatSeries(cfgId);
+      } catch (error) {
+        console.error('[CalDAV Sync] Error deleting series:', cfgId, error);
+      }
+    }
+  }
+
+  return activeCfgIds.length;
+}
+
+/**
+ * Marks the occurrence of a deleted instance task as skipped (EXDATE)
+ * Returns true if the task was an instance of an exported series
+ */
+async function skipSeriesInstance(taskId) {
+  const cfgId = Object.keys(seriesEventMapping)
+    .find(id => seriesEventMapping[id].instances[taskId]);
+  if (!cfgId) return false;
+
+  const entry = seriesEventMapping[cfgId];
+  const day = entry.instances[taskId];
+  if (!entry.exdates.includes(day)) entry.exdates.push(day);
+  delete entry.instances[taskId];
+
+  await syncRepeatSeries(cfgId);
+  return true;
+}
+
+// ============================================================================
+// Worked Time (Time-Sheet Calendar)
+// ============================================================================
+// Exports the time tracked per task and day (task.timeSpentOnDay) as events
+// (UID sp-worklog-{taskId}-{YYYYMMDD}) to a separate calendar. Super
+// Productivity only stores durations per day, not clock times, so the blocks
+// of a day are stacked from caldavConfig.worklogDayStart on. One-way only.
+
+/**
+ * Checks if the worklog export is configured
+ */
+function isWorklogEnabled() {
+  return isSyncActive() && caldavConfig.worklogEnabled && !!caldavConfig.worklogCalendarUrl &&
+    isCalendarUrlActive(caldavConfig.worklogCalendarUrl);
+}
+
+/**
+ * Returns the first day ("YYYY-MM-DD") of the exported worklog range
+ */
+function getWorklogFirstDay() {
+  const days = Math.max(1, Number(caldavConfig.worklogDays) || 7);
+  return addDays(getZonedDay(Date.now()), -(days - 1));
+}
+
+/**
+ * Computes the worked events of all tasks from firstDay on
+ * Returns { 'taskId/YYYY-MM-DD': { uid, start, end, title, minutes } }
+ */
+function getWorklogEntries(tasks, firstDay) {
+  const byDay = {};
+
+  for (const task of tasks) {
+    // Parent tasks sum up the time of their subtasks
+    if (task.subTaskIds && task.subTaskIds.length > 0) continue;
+
+    for (const [day, timeSpent] of Object.entries(task.timeSpentOnDay || {})) {
+      const minutes = Math.round(timeSpent / 60000);
+      if (day < firstDay || minutes < 1) continue;
+
+      if (!byDay[day]) byDay[day] = [];
+      byDay[day].push({ task, minutes });
+    }
+  }
+
+  const entries = {};
+  for (const [day, items] of Object.entries(byDay)) {
+    // Stable order, so blocks only move when earlier tasks gain time
+    items.sort((a, b) => (a.task.created || 0) - (b.task.created || 0) || a.task.id.localeCompare(b.task.id));
+
+    let start = getZonedTime(day, caldavConfig.worklogDayStart || '09:00');
+
+    for (const { task, minutes } of items) {
+      const end = start + minutes * 60000;
+      entries[`${task.id}/${day}`] = {
+        uid: `sp-worklog-${task.id}-${day.replace(/-/g, '')}`,
+        start,
+        end,
+        title: task.title || '',
+        minutes
+      };
+      start = end;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Formats minutes as "1h 30m"
+ */
+function formatDuration(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+/**
+ * Creates the iCalendar data of a worked event
+ */
+function createWorklogEvent(entry) {
+  const timezone = getTimezone();
+
+  const event = icalComponent('VEVENT', [
+    icalProp('UID', entry.uid),
+    icalProp('DTSTAMP', formatICalDateTimeUTC(new Date())),
+    formatICalDateTimeProp('DTSTART', new Date(entry.start), timezone),
+    formatICalDateTimeProp('DTEND', new Date(entry.end), timezone),
+    icalText('SUMMARY', entry.title),
+    icalText('DESCRIPTION', `Time tracked: ${formatDuration(entry.minutes)}`),
+    icalProp('STATUS', 'CONFIRMED'),
+    icalProp('TRANSP', 'TRANSPARENT')
+  ]);
+
+  return serializeICal(icalCalendar([...buildVTimezone(timezone, entry.start), event]));
+}
+
+/**
+ * Writes changed worked events to the time-sheet calendar and removes
+ * events of days whose tracked time was removed
+ * Tasks missing from getTasks() (archived) keep their events.
+ * Returns the number of written events
+ */
+async function syncWorklog() {
+  if (!isWorklogEnabled() || worklogSyncing) return 0;
+  worklogSyncing = true;
+
+  const calendarUrl = caldavConfig.worklogCalendarUrl;
+  let changed = 0;
+
+  try {
+    const tasks = await PluginAPI.getTasks();
+    const taskIds = new Set(tasks.map(t => t.id));
+    const firstDay = getWorklogFirstDay();
+    const entries = getWorklogEntries(tasks, firstDay);
+
+    for (const [key, entry] of Object.entries(entries)) {
+      const previous = worklogMapping[key];
+      if (previous && previous.calendarUrl === calendarUrl && previous.start === entry.start &&
+        previous.end === entry.end && previous.title === entry.title) {
+        continue;
+      }
+
+      if (previous && previous.calendarUrl !== calendarUrl) {
+        await deleteCalDAVEvent(previous.calendarUrl, previous.uid);
+      }
+
+      await putCalDAVEvent(calendarUrl, entry.uid, createWorklogEvent(entry));
+      worklogMapping[key] = {
+        uid: entry.uid,
+        calendarUrl,
+        start: entry.start,
+        end: entry.end,
+        title: entry.title
+      };
+      changed++;
+    }
+
+    for (const key of Object.keys(worklogMapping)) {
+      const [taskId, day] = key.split('/');
+      if (entries[key] || !taskIds.has(taskId) || day < firstDay) continue;
+
+      await deleteCalDAVEvent(worklogMapping[key].calendarUrl, worklogMapping[key].uid);
+      delete worklogMapping[key];
+      changed++;
+    }
+  } catch (error) {
+    logActivity('error', 'worklog', error.message);
+    await saveData();
+    throw error;
+  } finally {
+    worklogSyncing = false;
+    if (changed > 0) {
+      logActivity('info', 'worklog', `${changed} worked event(s) written or removed`);
+      await saveData();
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Deletes all worked events of a (deleted) task
+ */
+async function deleteTaskWorklog(taskId) {
+  const keys = Object.keys(worklogMapping).filter(key => key.startsWith(`${taskId}/`));
+  if (keys.length === 0) return;
+
+  for (const key of keys) {
+    await deleteCalDAVEvent(worklogMapping[key].calendarUrl, worklogMapping[key].uid);
+    delete worklogMapping[key];
+  }
+  await saveData();
+}
+
+/**
+ * Schedules a worklog export shortly after task changes (debounced)
+ */
+function scheduleWorklogSync() {
+  if (!isWorklogEnabled() || worklogSyncTimeout) return;
+
+  worklogSyncTimeout = setTimeout(async () => {
+    worklogSyncTimeout = null;
+    try {
+      await syncWorklog();
+    } catch (error) {
+      console.error('[CalDAV Sync] Error exporting worked time:', error);
+    }
+  }, WORKLOG_DELAY);
+}
+
+/**
+ * (Re)starts the periodic worklog export according to the config
+ */
+function startWorklogTimer() {
+  if (worklogTimer) {
+    clearInterval(worklogTimer);
+    worklogTimer = null;
+  }
+
+  if (!isWorklogEnabled()) return;
+
+  worklogTimer = setInterval(async () => {
+    try {
+      await syncWorklog();
+    } catch (error) {
+      console.error('[CalDAV Sync] Error exporting worked time:', error);
+    }
+  }, WORKLOG_INTERVAL);
+}
+
+// ============================================================================
+// Calendar Import (External Calendars → Tasks)
+// ============================================================================
+// Events of the calendars in caldavConfig.importCalendars are fetched in a
+// rolling window (time-range REPORT, recurrences expanded by the server) and
+// turned into scheduled tasks. Event changes update the task; cancelled or
+// deleted events mark or delete it. Imported tasks are never exported, and
+// events created by this plugin (sp-* UIDs) are never imported.
+
+/**
+ * Checks if an event UID was created by this plugin (tasks, series or worked events)
+ */
+function isPluginUid(uid) {
+  return uid.startsWith('sp-task-') || uid.startsWith('sp-repeat-') || uid.startsWith('sp-worklog-');
+}
+
+/**
+ * Checks if a task was created by the calendar import
+ */
+function isImportedTask(task) {
+  return importedTaskIds.has(task.id);
+}
+
+/**
+ * Rebuilds importedTaskIds after importedEventMapping was replaced (loaded or reset)
+ */
+function indexImportedTasks() {
+  importedTaskIds = new Set(Object.values(importedEventMapping).map(entry => entry.taskId));
+}
+
+/**
+ * Returns the rolling import window { start, end } (timestamps, whole days in the event timezone)
+ */
+function getImportWindow() {
+  const today = getZonedDay(Date.now());
+  const back = Math.max(0, Number(caldavConfig.importDaysBack) || 0);
+  const ahead = Math.max(1, Number(caldavConfig.importDaysAhead) || 14);
+
+  return { start: getZonedTime(addDays(today, -back)), end: getZonedTime(addDays(today, ahead + 1)) };
+}
+
+/**
+ * Fetches the events of a calendar that overlap a time range
+ * Recurring events are expanded into their instances by the server
+ */
+async function fetchCalendarRange(calendarUrl, start, end) {
+  const range = `start="${formatICalDateTimeUTC(new Date(start))}" end="${formatICalDateTimeUTC(new Date(end))}"`;
+  const body = [
+    '<?xml version="1.0" encoding="utf-8" ?>',
+    '<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">',
+    '  <d:prop>',
+    '    <d:getetag/>',
+    '    <c:calendar-data>',
+    `      <c:expand ${range}/>`,
+    '    </c:calendar-data>',
+    '  </d:prop>',
+    '  <c:filter>',
+    '    <c:comp-filter name="VCALENDAR">',
+    '      <c:comp-filter name="VEVENT">',
+    `        <c:time-range ${range}/>`,
+    '      </c:comp-filter>',
+    '    </c:comp-filter>',
+    '  </c:filter>',
+    '</c:calendar-query>'
+  ].join('\n');
+
+  const response = await caldavFetch(calendarUrl, {
+    method: 'REPORT',
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Depth': '1'
+    },
+    body
+  });
+
+  if (!response.ok) {
+    console.error('[CalDAV Sync] REPORT error:', response.status, response.statusText);
+    throw createHttpError('REPORT', response);
+  }
+
+  const xml = new DOMParser().parseFromString(await response.text(), 'application/xml');
+  const events = [];
+
+  for (const dataNode of Array.from(xml.getElementsByTagNameNS(CALDAV_NS, 'calendar-data'))) {
+    events.push(...parseICalEvents(dataNode.textContent));
+  }
+
+  return events;
+}
+
+/**
+ * Returns the start of an event as timestamp (all-day events: local midnight)
+ */
+function getEventStartTime(event) {
+  return event.allDay ? getZonedTime(event.start) : event.start;
+}
+
+/**
+ * Converts an imported event into the task fields it sets
+ */
+function getImportedTaskData(event) {
+  if (event.allDay) {
+    return { dueDay: event.start, plannedAt: null };
+  }
+
+  const data = { plannedAt: event.start };
+  if (event.end && event.end > event.start) {
+    data.timeEstimate = event.end - event.start;
+  }
+  return data;
+}
+
+/**
+ * Creates a task for a newly imported event and remembers the mapping
+ */
+async function createImportedTask(key, event, calendar) {
+  const taskData = {
+    title: event.title || '(No title)',
+    notes: event.notes
+  };
+  if (calendar.projectId) taskData.projectId = calendar.projectId;
+
+  const taskId = await PluginAPI.addTask(taskData);
+
+  // Map first, so the TASK_UPDATE hooks of the new task don't export it
+  importedEventMapping[key] = { taskId, calendarUrl: calendar.url, fields: getImportFields(event) };
+  importedTaskIds.add(taskId);
+  await saveData();
+
+  await PluginAPI.updateTask(taskId, getImportedTaskData(event));
+}
+
+/**
+ * Returns the event fields an import entry compares against
+ */
+function getImportFields(event) {
+  return {
+    allDay: event.allDay,
+    start: event.start,
+    end: event.end,
+    title: event.title,
+    notes: event.notes
+  };
+}
+
+/**
+ * Marks or deletes the task of a cancelled (or deleted) event
+ */
+async function cancelImportedTask(entry, task) {
+  entry.cancelled = true;
+  if (!task) return;
+
+  if (caldavConfig.importCancelAction === 'delete' && typeof PluginAPI.deleteTask === 'function') {
+    await PluginAPI.deleteTask(task.id);
+    entry.dismissed = true;
+    return;
+  }
+
+  if (!task.title.startsWith(CANCELLED_PREFIX)) {
+    await PluginAPI.updateTask(task.id, { title: CANCELLED_PREFIX + task.title });
+  }
+}
+
+/**
+ * Imports the events of all import calendars as tasks
+ * Returns { created, updated, cancelled, failed } (failed: calendars that couldn't be fetched)
+ */
+async function importExternalCalendars() {
+  const result = { created: 0, updated: 0, cancelled: 0, failed: 0 };
+  const calendars = caldavConfig.importCalendars || [];
+  if (!isSyncActive() || !calendars.some(calendar => isCalendarUrlActive(calendar.url)) || importing) return result;
+
+  importing = true;
+  try {
+    await importCalendarEvents(calendars, result);
+  } finally {
+    importing = false;
+  }
+
+  const changed = result.created + result.updated + result.cancelled;
+  if (changed > 0) {
+    logActivity('info', 'import', `${result.created} created, ${result.updated} updated, ${result.cancelled} cancelled`);
+  }
+  if (changed + result.failed > 0) await saveData(); // Persist the log entries
+
+  return result;
+}
+
+/**
+ * Imports the events of the given calendars (see importExternalCalendars)
+ * Calendars of a paused account are skipped; their events and tasks stay as they are.
+ */
+async function importCalendarEvents(calendars, result) {
+  const { start, end } = getImportWindow();
+  const tasks = await PluginAPI.getTasks();
+  const tasksById = new Map(tasks.map(t => [t.id, t]));
+
+  for (const calendar of calendars) {
+    if (!isCalendarUrlActive(calendar.url)) continue;
+
+    let events;
+    try {
+      // Servers without expand support return recurring masters with their first start - skip past ones
+      events = (await fetchCalendarRange(calendar.url, start, end)).filter(event => getEventStartTime(event) >= start);
+    } catch (error) {
+      console.error('[CalDAV Sync] Error importing calendar:', calendar.url, error);
+      logActivity('error', 'import', `${calendar.name || calendar.url}: ${error.message}`);
+      result.failed++;
+      continue; // Keep the tasks of this calendar as they are
+    }
+
+    const seenKeys = new Set();
+
+    for (const event of events) {
+      if (isPluginUid(event.uid)) continue; // Our own events - importing them would loop
+
+      const key = `${calendar.url}|${event.uid}|${event.recurrenceId || ''}`;
+      seenKeys.add(key);
+      const entry = importedEventMapping[key];
+
+      if (!entry) {
+        if (event.cancelled) continue;
+        await createImportedTask(key, event, calendar);
+        result.created++;
+        continue;
+      }
+
+      if (entry.dismissed) continue;
+
+      const task = tasksById.get(entry.taskId);
+      if (!task) {
+        entry.dismissed = true; // Deleted (or archived) in Super Productivity - don't re-create
+        await saveData();
+        continue;
+      }
+
+      if (event.cancelled) {
+        if (!entry.cancelled) {
+          await cancelImportedTask(entry, task);
+          await saveData();
+          result.cancelled++;
+        }
+        continue;
+      }
+
+      const fields = getImportFields(event);
+      if (!entry.cancelled && eventFieldsEqual(fields, entry.fields)) continue;
+
+      // Only the fields that changed in the calendar; local edits of the others are kept
+      const changes = {};
+      if (entry.cancelled || fields.title !== entry.fields.title) changes.title = fields.title || '(No title)';
+      if (fields.notes !== entry.fields.notes) changes.notes = fields.notes;
+      if (fields.allDay !== entry.fields.allDay || fields.start !== entry.fields.start || fields.end !== entry.fields.end) {
+        Object.assign(changes, getImportedTaskData(event));
+      }
+
+      importedEventMapping[key] = { ...entry, fields, cancelled: false };
+      await saveData();
+      await PluginAPI.updateTask(task.id, changes);
+      result.updated++;
+    }
+
+    // Events that disappeared from the window: deleted on the server, or just in the past now
+    for (const [key, entry] of Object.entries(importedEventMapping)) {
+      if (entry.calendarUrl !== calendar.url || seenKeys.has(key)) continue;
+
+      if (getEventStartTime(entry.fields) < start) {
+        delete importedEventMapping[key]; // Past event - the task stays as it is
+        importedTaskIds.delete(entry.taskId);
+      } else if (!entry.cancelled && !entry.dismissed) {
+        await cancelImportedTask(entry, tasksById.get(entry.taskId));
+        result.cancelled++;
+      }
+      await saveData();
+    }
+  }
+
+  // Calendars removed from the import list: forget their events, keep the tasks
+  const importUrls = new Set(calendars.map(calendar => calendar.url));
+  const removedKeys = Object.keys(importedEventMapping)
+    .filter(key => !importUrls.has(importedEventMapping[key].calendarUrl));
+  if (removedKeys.length > 0) {
+    removedKeys.forEach(key => {
+      importedTaskIds.delete(importedEventMapping[key].taskId);
+      delete importedEventMapping[key];
+    });
+    await saveData();
+  }
+}
+
+/**
+ * (Re)starts the periodic import according to the config
+ */
+function startImportTimer() {
+  if (importTimer) {
+    clearInterval(importTimer);
+    importTimer = null;
+  }
+
+  if (!isSyncActive() || (caldavConfig.importCalendars || []).length === 0) return;
+
+  const minutes = Math.max(1, Number(caldavConfig.pullInterval) || 5);
+  importTimer = setInterval(async () => {
+    try {
+      const result = await importExternalCalendars();
+      if (result.created + result.updated + result.cancelled > 0) {
+        console.log('[CalDAV Sync] Calendar import:', result);
+      }
+    } catch (error) {
+      console.error('[CalDAV Sync] Error importing calendars:', error);
+    }
+  }, minutes * 60000);
+}
+
+// ============================================================================
+// iCalendar Export (.ics Download & Feed)
+// ============================================================================
+// For calendars without a writable CalDAV collection (e.g. Outlook or a
+// corporate Google account): all scheduled tasks are written into one
+// VCALENDAR with the same components as the synced events. The export can be
+// downloaded from the plugin view or written automatically as a feed that
+// calendar apps subscribe to, uploaded to a WebDAV URL.
+// Exports are always events; repeating tasks are exported as single events.
+
+/**
+ * Checks if a task is part of the .ics export (before filtering)
+ * Same rules as the sync, except that the target calendar doesn't matter
+ */
+function isExportedTask(task) {
+  if (!task.plannedAt && !task.dueWithTime && !task.dueDay) return false;
+  if (isImportedTask(task)) return false;
+  if (task.parentId && !hasOwnSubtaskEvent()) return false;
+  return !task.isDone || isCompletedEvent(task);
+}
+
+/**
+ * Checks if a task matches an export filter
+ * filter: { projectIds, tagIds, from, to } - empty lists and dates match everything
+ */
+function matchesExportFilter(task, filter) {
+  const projectIds = filter.projectIds || [];
+  const tagIds = filter.tagIds || [];
+  const day = getTaskDay(task);
+
+  if (projectIds.length > 0 && !projectIds.includes(task.projectId)) return false;
+  if (tagIds.length > 0 && !(task.tagIds || []).some(tagId => tagIds.includes(tagId))) return false;
+  if (filter.from && day < filter.from) return false;
+  if (filter.to && day > filter.to) return false;
+  return true;
+}
+
+/**
+ * Builds the .ics export of all matching tasks
+ * Returns { ics, count }. Each timezone gets one VTIMEZONE (of the earliest event).
+ */
+async function buildIcsExport(filter = {}) {
+  const tasks = await PluginAPI.getTasks();
+  await refreshTaskMeta();
+
+  const exported = tasks
+    .filter(task => isExportedTask(task) && matchesExportFilter(task, filter))
+    .sort((a, b) => getTaskDay(a).localeCompare(getTaskDay(b)));
+
+  const timezones = new Map();
+  const events = [];
+
+  for (const task of exported) {
+    const relations = await getTaskRelations(task, tasks);
+    for (const component of createTaskComponents(task, 'VEVENT', relations)) {
+      if (component.name !== 'VTIMEZONE') {
+        events.push(component);
+        continue;
+      }
+      const tzid = getICalProperty(component, 'TZID').value;
+      if (!timezones.has(tzid)) timezones.set(tzid, component);
+    }
+  }
+
+  // Calendar name and refresh hint (RFC 7986) for subscribing calendar apps
+  const calendar = icalCalendar([...timezones.values(), ...events], [
+    icalText('NAME', filter.name || 'Super Productivity'),
+    icalText('X-WR-CALNAME', filter.name || 'Super Productivity'),
+    icalProp('REFRESH-INTERVAL', 'PT15M', { VALUE: 'DURATION' }),
+    icalProp('X-PUBLISHED-TTL', 'PT15M')
+  ]);
+
+  return { ics: serializeICal(calendar), count: events.length };
+}
+
+/**
+ * Returns the export filter of the feed: the configured projects and tags,
+ * and the window of feedDaysBack / feedDaysAhead around today
+ */
+function getFeedFilter() {
+  const today = getZonedDay(Date.now());
+  const back = Math.max(0, Number(caldavConfig.feedDaysBack) || 0);
+  const ahead = Math.max(0, Number(caldavConfig.feedDaysAhead) || 0);
+
+  return {
+    projectIds: caldavConfig.exportProjectIds || [],
+    tagIds: caldavConfig.exportTagIds || [],
+    from: addDays(today, -back),
+    to: addDays(today, ahead)
+  };
+}
+
+/**
+ * Checks if the feed is exported automatically (and its account is active on this device)
+ */
+function isFeedEnabled() {
+  return !!caldavConfig.feedEnabled && /^https?:\/\//i.test(caldavConfig.feedUrl || '') &&
+    isAccountActive(caldavConfig.feedAccountId || DEFAULT_ACCOUNT_ID);
+}
+
+/**
+ * Uploads the feed to its WebDAV URL
+ * Uses the credentials of the feed account (e.g. a Nextcloud file shared by link),
+ * never those of an account guessed from the URL
+ */
+async function writeFeed(url, ics) {
+  const response = await caldavFetch(url, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'text/calendar; charset=utf-8' },
+    body: ics
+  }, getAccountAuth(caldavConfig.feedAccountId || DEFAULT_ACCOUNT_ID));
+  if (!response.ok) throw createHttpError('PUT', response);
+}
+
+/**
+ * Exports the feed if it changed since it was last written
+ * options.force writes it anyway. Returns the number of events, or null if skipped.
+ */
+async function exportFeed(options = {}) {
+  if (!isFeedEnabled() || feedExporting) return null;
+  feedExporting = true;
+
+  try {
+    const { ics, count } = await buildIcsExport(getFeedFilter());
+    const hash = getEventHash(ics);
+    if (!options.force && hash === lastFeedHash) return null;
+
+    await writeFeed(caldavConfig.feedUrl, ics);
+    lastFeedHash = hash;
+    logActivity('info', 'feed', `Calendar feed updated (${count} events)`);
+    return count;
+  } catch (error) {
+    logActivity('error', 'feed', `Calendar feed not updated: ${error.message}`);
+    throw error;
+  } finally {
+    feedExporting = false;
+  }
+}
+
+/**
+ * Schedules a feed export shortly after task changes (debounced)
+ */
+function scheduleFeedExport() {
+  if (!isFeedEnabled() || feedExportTimeout) return;
+
+  feedExportTimeout = setTimeout(async () => {
+    feedExportTimeout = null;
+    try {
+      await exportFeed();
+    } catch (error) {
+      console.error('[CalDAV Sync] Error exporting the calendar feed:', error);
+    }
+  }, FEED_DELAY);
+}
+
+/**
+ * (Re)starts the periodic feed export according to the config
+ */
+function startFeedTimer() {
+  if (feedTimer) {
+    clearInterval(feedTimer);
+    feedTimer = null;
+  }
+
+  if (!isFeedEnabled()) return;
+
+  feedTimer = setInterval(async () => {
+    try {
+      await exportFeed();
+    } catch (error) {
+      console.error('[CalDAV Sync] Error exporting the calendar feed:', error);
+    }
+  }, FEED_INTERVAL);
+}
+
+// ============================================================================
+// Double-Booking Check (Free/Busy)
+// ============================================================================
+// Optionally, tasks scheduled with plannedAt are checked against the busy
+// time of caldavConfig.busyCalendars (e.g. meetings in other calendars). The
+// check only warns - the task is synced anyway. Busy time comes from a
+// free-busy-query REPORT (RFC 4791 7.10); calendars that don't support it, and
+// task calendars (whose busy time includes the plugin's own events), are read
+// with a time-range query instead. A warning suggests the next free slot
+// between busyDayStart and busyDayEnd that fits the task's estimate.
+
+// Double bookings of the current tasks: { taskId: { title, start, end, busy: [{ start, end, calendarUrl }], suggestion } }
+let busyWarnings = {};
+
+// Task times already checked: Map(taskId → 'start|end'), so unchanged tasks aren't queried again
+const busyCheckedTimes = new Map();
+
+// Free slots are searched up to this many days after the task's start
+const FREE_SLOT_SEARCH_DAYS = 7;
+
+/**
+ * Checks if scheduled tasks are checked for double bookings
+ * At least one busy calendar must belong to an account that is active on this device.
+ */
+function isBusyCheckEnabled() {
+  return !!caldavConfig.busyCheckEnabled &&
+    (caldavConfig.busyCalendars || []).some(calendar => isCalendarUrlActive(calendar.url));
+}
+
+/**
+ * Parses an iCalendar DURATION value (e.g. PT1H30M, P1D, P2W) into ms
+ */
+function parseICalDuration(value) {
+  const match = String(value).trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((((+weeks || 0) * 7 + (+days || 0)) * 24 + (+hours || 0)) * 60 + (+minutes || 0)) * 60000 + (+seconds || 0) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+/**
+ * Reads the busy periods out of a free-busy-query response
+ * FREEBUSY values are UTC periods "start/end" or "start/duration"; FBTYPE=FREE is skipped
+ */
+function parseFreeBusyPeriods(icsData) {
+  const periods = [];
+
+  for (const calendar of parseICal(icsData)) {
+    const components = calendar.name === 'VCALENDAR' ? calendar.components : [calendar];
+
+    for (const component of components.filter(c => c.name === 'VFREEBUSY')) {
+      for (const property of component.properties.filter(p => p.name === 'FREEBUSY')) {
+        if (String(property.params.FBTYPE || 'BUSY').toUpperCase() === 'FREE') continue;
+
+        for (const period of property.value.split(',')) {
+          const [startValue, endValue = ''] = period.split('/');
+          const start = parseICalDate({ value: startValue, params: {} });
+          const end = /^[+-]?P/i.test(endValue)
+            ? start + parseICalDuration(endValue)
+            : parseICalDate({ value: endValue, params: {} });
+
+          if (typeof start === 'number' && typeof end === 'number' && end > start) {
+            periods.push({ start, end });
+          }
+        }
+      }
+    }
+  }
+
+  return periods;
+}
+
+/**
+ * Queries the busy time of a calendar with a free-busy-query REPORT
+ * Returns [{ start, end }], or null if the server doesn't support the report
+ */
+async function fetchFreeBusy(calendarUrl, start, end) {
+  const body = [
+    '<?xml version="1.0" encoding="utf-8" ?>',
+    '<c:free-busy-query xmlns:c="urn:ietf:params:xml:ns:caldav">',
+    `  <c:time-range start="${formatICalDateTimeUTC(new Date(start))}" end="${formatICalDateTimeUTC(new Date(end))}"/>`,
+    '</c:free-busy-query>'
+  ].join('\n');
+
+  const response = await caldavFetch(calendarUrl, {
+    method: 'REPORT',
+    headers: {
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Depth': '1'
+    },
+    body
+  });
+
+  if (response.status === 401) throw createHttpError('REPORT', response);
+  if (!response.ok) return null;
+
+  const text = await response.text();
+  return text.includes('BEGIN:VFREEBUSY') ? parseFreeBusyPeriods(text) : null;
+}
+
+/**
+ * Reads the busy time of a calendar from its events (time-range query)
+ * Free (transparent) and cancelled events and the plugin's own events don't count
+ */
+async function fetchBusyFromEvents(calendarUrl, start, end) {
+  const events = await fetchCalendarRange(calendarUrl, start, end);
+
+  return events
+    .filter(event => !isPluginUid(event.uid) && !event.cancelled && !event.transparent)
+    .map(event => {
+      const eventStart = getEventStartTime(event);
+      const eventEnd = event.allDay ? getZonedTime(getNextDay(event.start)) : event.end;
+      return { start: eventStart, end: eventEnd };
+    })
+    .filter(period => period.end > period.start);
+}
+
+/**
+ * Collects the busy periods of all busy calendars between start and end, sorted by start
+ * Calendars that can't be read are skipped (and logged)
+ */
+async function getBusyPeriods(start, end) {
+  const taskCalendarUrls = new Set(getCalendars().map(calendar => calendar.url));
+  const periods = [];
+
+  const calendars = (caldavConfig.busyCalendars || []).filter(calendar => isCalendarUrlActive(calendar.url));
+  await runConcurrently(calendars, async (calendar) => {
+    try {
+      let busy = taskCalendarUrls.has(calendar.url) ? null : await fetchFreeBusy(calendar.url, start, end);
+      if (busy === null) busy = await fetchBusyFromEvents(calendar.url, start, end);
+      periods.push(...busy.map(period => ({ ...period, calendarUrl: calendar.url })));
+    } catch (error) {
+      console.error('[CalDAV Sync] Error reading busy time:', calendar.url, error);
+      logActivity('warn', 'busy', `${calendar.name || calendar.url}: ${error.message}`);
+    }
+  });
+
+  return periods.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Finds the first free slot of the given duration between from and until
+ * Slots lie between busyDayStart and busyDayEnd (in the event timezone);
+ * busy must be sorted by start. Returns the start of the slot, or null.
+ */
+function findFreeSlot(busy, duration, from, until) {
+  let day = getZonedDay(from);
+
+  while (getZonedTime(day) < until) {
+    const dayEnd = getZonedTime(day, caldavConfig.busyDayEnd || '18:00');
+    let candidate = Math.max(from, getZonedTime(day, caldavConfig.busyDayStart || '08:00'));
+
+    for (const period of busy) {
+      if (period.end <= candidate) continue;
+      if (period.start >= candidate + duration) break;
+      candidate = period.end;
+    }
+
+    if (candidate + duration <= Math.min(dayEnd, until)) return candidate;
+    day = addDays(day, 1);
+  }
+
+  return null;
+}
+
+/**
+ * Formats a slot start for messages, e.g. "Tue 14:30"
+ */
+function formatSlot(timestamp) {
+  return new Date(timestamp).toLocaleString([], { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Forgets the double booking of a task (task deleted, done or moved)
+ */
+function clearBusyWarning(taskId) {
+  delete busyWarnings[taskId];
+  busyCheckedTimes.delete(taskId);
+}
+
+/**
+ * Checks a task scheduled with plannedAt against the busy calendars
+ * Warns (snack + activity log + status page) if it overlaps busy time.
+ * options.force checks again even if the task's time didn't change.
+ */
+async function checkDoubleBooking(task, options = {}) {
+  if (!isBusyCheckEnabled()) return;
+
+  const start = task.plannedAt;
+  const duration = task.timeEstimate || 3600000; // Default: 1 hour
+  if (!start || task.isDone || isImportedTask(task) || start + duration <= Date.now()) {
+    clearBusyWarning(task.id);
+    return;
+  }
+
+  const key = `${start}|${start + duration}`;
+  if (!options.force && busyCheckedTimes.get(task.id) === key) return;
+  busyCheckedTimes.set(task.id, key);
+
+  const searchEnd = start + FREE_SLOT_SEARCH_DAYS * 86400000;
+  const busy = await getBusyPeriods(start, searchEnd);
+  const conflicts = busy.filter(period => period.start < start + duration && period.end > start);
+
+  if (conflicts.length === 0) {
+    delete busyWarnings[task.id];
+    return;
+  }
+
+  const suggestion = findFreeSlot(busy, duration, Math.max(start, Date.now()), searchEnd);
+  busyWarnings[task.id] = { title: task.title, start, end: start + duration, busy: conflicts, suggestion };
+
+  const next = suggestion ? `Next free slot: ${formatSlot(suggestion)}` : `No free slot in the next ${FREE_SLOT_SEARCH_DAYS} days`;
+  logActivity('warn', 'busy', `Overlaps busy time. ${next}`, task);
+
+  if (!options.silent) {
+    PluginAPI.showSnack({
+      msg: `"${task.title}" overlaps busy time in your calendar. ${next}`,
+      type: 'CUSTOM',
+      ico: 'event_busy'
+    });
+  }
+}
+
+/**
+ * Checks all upcoming tasks scheduled with plannedAt (e.g. after enabling the check)
+ * Returns the number of double bookings
+ */
+async function checkAllDoubleBookings() {
+  const tasks = await PluginAPI.getTasks();
+  const taskIds = new Set(tasks.map(task => task.id));
+
+  for (const taskId of Object.keys(busyWarnings)) {
+    if (!taskIds.has(taskId)) clearBusyWarning(taskId);
+  }
+
+  for (const task of tasks.filter(task => task.plannedAt)) {
+    await checkDoubleBooking(task, { force: true, silent: true });
+  }
+
+  await saveData();
+  return Object.keys(busyWarnings).length;
+}
+
+/**
+ * Moves a double-booked task to its suggested free slot
+ */
+async function moveToFreeSlot(taskId) {
+  const warning = busyWarnings[taskId];
+  if (!warning || !warning.suggestion) throw new Error('No free slot suggested for this task');
+
+  await PluginAPI.updateTask(taskId, { plannedAt: warning.suggestion });
+  logActivity('info', 'busy', `Moved to the free slot ${formatSlot(warning.suggestion)}`, { id: taskId, title: warning.title });
+  delete busyWarnings[taskId];
+  await saveData();
+}
+
+// ============================================================================
+// Conflict Handling (412 Precondition Failed)
+// ============================================================================
+
+/**
+ * Escapes text for use in dialog HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Shows a conflict dialog and resolves with the value of the chosen option
+ * Closing the dialog without a choice resolves with 'skip'
+ */
+function askConflictResolution(message, choices) {
+  return new Promise((resolve) => {
+    PluginAPI.openDialog({
+      title: 'CalDAV Sync Conflict',
+      htmlContent: `<p>${escapeHtml(message)}</p>`,
+      buttons: choices.map(choice => ({
+        label: choice.label,
+        onClick: () => resolve(choice.value)
+      }))
+    }).then(() => resolve('skip'), () => resolve('skip'));
+  });
+}
+
+/**
+ * Handles a failed conditional PUT: the event was edited on the server.
+ * The user keeps the task version (overwrite), the server version (update task) or skips.
+ */
+async function resolveSyncConflict(task) {
+  const eventUid = getEventUid(task.id);
+
+  const choice = await askConflictResolution(
+    `"${task.title}" was changed in the calendar since the last sync.`,
+    [
+      { value: 'task', label: 'Keep task version' },
+      { value: 'server', label: 'Keep server version' },
+      { value: 'skip', label: 'Skip' }
+    ]
+  );
+
+  const outcomes = { task: 'kept the task version', server: 'kept the server version', skip: 'skipped' };
+  logActivity('warn', 'conflict', `Changed in the calendar since the last sync, ${outcomes[choice]}`, task);
+
+  if (choice === 'skip') {
+    console.log('[CalDAV Sync] Conflict skipped:', task.id);
+    await saveData();
+    return;
+  }
+
+  try {
+    const serverEvent = await getCalDAVEvent(getEventCalendarUrl(task.id), eventUid);
+    const parsed = serverEvent && parseICalEvent(serverEvent.data);
+
+    if (choice === 'task' || !parsed) {
+      // Overwrite exactly the server version we just fetched (or recreate a deleted event)
+      taskEventMapping[task.id] = {
+        ...taskEventMapping[task.id],
+        uid: eventUid,
+        etag: serverEvent ? serverEvent.etag : null
+      };
+      await syncTaskToCalDAV(task, { force: true });
+      return;
+    }
+
+    await applyEventToTask(task, getEventFieldsFromEvent(parsed, task), serverEvent.etag);
+
+    PluginAPI.showSnack({
+      msg: `"${task.title}" updated from calendar`,
+      type: 'SUCCESS'
+    });
+  } catch (error) {
+    console.error('[CalDAV Sync] Error resolving conflict:', error);
+    PluginAPI.showSnack({
+      msg: `Error resolving conflict: ${error.message}`,
+      type: 'ERROR'
+    });
+  }
+}
+
+// ============================================================================
+// Offline Queue
+// ============================================================================
+// Operations that fail because the device is offline or the server is
+// unavailable are persisted (see saveData) and retried with exponential
+// backoff: on a timer, when the browser comes back online and on startup.
+
+/**
+ * Network errors (no status), timeouts, rate limits and server errors are retried
+ */
+function isRetryableError(error) {
+  return !error.status || error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Queues (or merges) a failed operation for a task and schedules the retry
+ */
+async function enqueueOperation(taskId, type, error, title) {
+  const existing = operationQueue[taskId];
+  const attempts = existing ? existing.attempts + 1 : 1;
+  const backoff = Math.min(QUEUE_BASE_DELAY * 2 ** (attempts - 1), QUEUE_MAX_DELAY);
+  const delay = Math.max(backoff, error.retryAfter || 0);
+
+  operationQueue[taskId] = {
+    type,
+    attempts,
+    nextAttempt: Date.now() + delay,
+    lastError: error.message
+  };
+
+  console.warn(`[CalDAV Sync] Queued ${type} for task ${taskId} (attempt ${attempts}, retry in ${delay / 1000}s):`, error.message);
+  logActivity('warn', type, `Queued for retry (attempt ${attempts}): ${error.message}`, { id: taskId, title });
+
+  await saveData();
+  scheduleQueueDrain();
+
+  if (!existing) {
+    PluginAPI.showSnack({
+      msg: `Calendar not reachable. Change queued (${Object.keys(operationQueue).length} pending)`,
+      type: 'ERROR'
+    });
+  }
+}
+
+/**
+ * Removes the queued operation of a task (if any)
+ */
+async function removeQueuedOperation(taskId) {
+  if (!operationQueue[taskId]) return;
+
+  delete operationQueue[taskId];
+  await saveData();
+}
+
+/**
+ * Schedules the next queue drain for the earliest pending retry
+ */
+function scheduleQueueDrain() {
+  if (queueTimer) {
+    clearTimeout(queueTimer);
+    queueTimer = null;
+  }
+
+  const retryTimes = Object.values(operationQueue).map(op => op.nextAttempt);
+  if (retryTimes.length === 0) return;
+
+  const delay = Math.max(0, Math.min(...retryTimes) - Date.now());
+  queueTimer = setTimeout(() => drainQueue(), delay);
+}
+
+/**
+ * Retries queued operations that are due (or all of them with options.force)
+ * Successful operations leave the queue, failed ones are re-queued with a longer delay
+ */
+async function drainQueue(options = {}) {
+  if (queueDraining || !isSyncActive()) return;
+  queueDraining = true;
+
+  try {
+    const now = Date.now();
+    const dueTaskIds = Object.keys(operationQueue)
+      .filter(taskId => options.force || operationQueue[taskId].nextAttempt <= now);
+
+    if (dueTaskIds.length === 0) return;
+
+    console.log('[CalDAV Sync] Retrying queued operations:', dueTaskIds.length);
+    const tasks = await PluginAPI.getTasks();
+
+    for (const taskId of dueTaskIds) {
+      const op = operationQueue[taskId];
+      if (!op) continue; // Resolved by a newer sync in the meantime
+
+      const task = tasks.find(t => t.id === taskId);
+
+      try {
+        if (op.type === 'sync' && task && shouldSyncTask(task)) {
+          await syncTaskToCalDAV(task, { force: true, tasks });
+        } else if (op.type === 'delete' || (task && shouldDeleteTask(task))) {
+          await deleteTaskEvent(taskId, task && task.title);
+        } else {
+          await removeQueuedOperation(taskId); // Nothing left to do for this task
+        }
+      } catch (error) {
+        console.error('[CalDAV Sync] Dropping queued operation:', taskId, error);
+        logActivity('error', op.type, `Queued change dropped: ${error.message}`, task || { id: taskId });
+        await removeQueuedOperation(taskId);
+      }
+    }
+  } catch (error) {
+    console.error('[CalDAV Sync] Error draining queue:', error);
+  } finally {
+    queueDraining = false;
+    scheduleQueueDrain();
+  }
+}
+
+// ============================================================================
+// Server Reconciliation
+// ============================================================================
+// The regular sync only knows the events in taskEventMapping. Reconciliation
+// lists the plugin events (sp-task-*) actually stored on the server and
+// compares them with the tasks: events of deleted or unscheduled tasks are
+// deleted, missing events are recreated and the mapping is repaired in both
+// directions (untracked events are adopted, entries without event dropped).
+// Calendars that can't be listed are left alone, so an unreachable calendar
+// never leads to recreated or deleted events.
+
+/**
+ * Returns the task id of a plugin event uid (sp-task-<taskId>)
+ */
+function getTaskIdFromUid(uid) {
+  return uid.slice('sp-task-'.length);
+}
+
+/**
+ * Loads the ids of archived tasks, or null if the API doesn't support it
+ * Archived tasks are missing from getTasks(), but their events are not orphaned.
+ */
+async function loadArchivedTaskIds() {
+  if (typeof PluginAPI.getArchivedTasks !== 'function') return null;
+
+  try {
+    const archived = await PluginAPI.getArchivedTasks();
+    return new Set((archived || []).map(t => t.id));
+  } catch (error) {
+    console.warn('[CalDAV Sync] Could not load archived tasks:', error);
+    return null;
+  }
+}
+
+/**
+ * Checks if the event of a task missing from getTasks() is orphaned
+ * Archived tasks are done, so their events are kept unless completed tasks
+ * are deleted from the calendar. Without the archive, a missing task may
+ * be archived or deleted - its event is only removed if both would remove it.
+ */
+function isOrphanedTaskId(taskId, archivedIds) {
+  if (caldavConfig.deleteCompletedTasks) return true;
+  return archivedIds !== null && !archivedIds.has(taskId);
+}
+
+/**
+ * Lists the plugin events of all task calendars and of the calendars in the mapping
+ * Returns { events: Map('calendarUrl|uid' → event), listedUrls: Set, failedUrls: [] }
+ */
+async function listServerEvents() {
+  const calendars = new Map(getActiveCalendars().map(calendar => [calendar.url, calendar]));
+  for (const taskId in taskEventMapping) {
+    const url = getEventCalendarUrl(taskId);
+    if (!calendars.has(url) && isCalendarUrlActive(url)) calendars.set(url, { url, componentType: caldavConfig.componentType });
+  }
+
+  const events = new Map();
+  const listedUrls = new Set();
+  const failedUrls = [];
+
+  await runConcurrently(Array.from(calendars.values()), async (calendar) => {
+    try {
+      for (const event of await fetchCalDAVEvents(calendar)) {
+        events.set(`${event.calendarUrl}|${event.uid}`, event);
+      }
+      listedUrls.add(calendar.url);
+    } catch (error) {
+      console.error('[CalDAV Sync] Error listing calendar:', calendar.url, error);
+      failedUrls.push(calendar.url);
+    }
+  });
+
+  return { events, listedUrls, failedUrls };
+}
+
+/**
+ * Compares the server with the tasks and returns the repair actions:
+ * { type: 'delete' | 'adopt' | 'drop' | 'recreate', taskId, title, calendarUrl, uid, etag, event, reason }
+ */
+async function planReconciliation() {
+  const tasks = await PluginAPI.getTasks();
+  const tasksById = new Map(tasks.map(t => [t.id, t]));
+  const archivedIds = await loadArchivedTaskIds();
+  await refreshTaskMeta();
+  const { events, listedUrls, failedUrls } = await listServerEvents();
+  const actions = [];
+
+  // Server copies per task (a task may have leftovers in several calendars)
+  const copiesByTask = new Map();
+  for (const event of events.values()) {
+    const taskId = getTaskIdFromUid(event.uid);
+    if (!copiesByTask.has(taskId)) copiesByTask.set(taskId, []);
+    copiesByTask.get(taskId).push(event);
+  }
+
+  const deleteCopy = (event, taskId, title, reason) => actions.push({
+    type: 'delete', taskId, title, calendarUrl: event.calendarUrl, uid: event.uid, etag: event.etag, reason
+  });
+
+  for (const [taskId, copies] of copiesByTask) {
+    const task = tasksById.get(taskId);
+    const title = task ? task.title : copies[0].title;
+
+    if (!task) {
+      if (isOrphanedTaskId(taskId, archivedIds)) {
+        copies.forEach(event => deleteCopy(event, taskId, title, 'Task no longer exists'));
+      }
+      continue;
+    }
+
+    if (isTaskPaused(task)) continue; // Left alone until its account is enabled again
+
+    if (!shouldSyncTask(task) && (shouldDeleteTask(task) || isRepeatSeriesTask(task) ||
+      (task.parentId && !hasOwnSubtaskEvent()))) {
+      copies.forEach(event => deleteCopy(event, taskId, title, 'Task is no longer scheduled'));
+      continue;
+    }
+
+    // Keep the copy the mapping points to, else the one in the task's calendar
+    const entry = taskEventMapping[taskId];
+    const kept = copies.find(event => entry && event.calendarUrl === getEventCalendarUrl(taskId)) ||
+      copies.find(event => event.calendarUrl === getCalendarForTask(task).url) ||
+      copies[0];
+
+    copies.filter(event => event !== kept)
+      .forEach(event => deleteCopy(event, taskId, title, 'Duplicate of the event in another calendar'));
+
+    if (!entry || entry.uid !== kept.uid || getEventCalendarUrl(taskId) !== kept.calendarUrl) {
+      actions.push({
+        type: 'adopt',
+        taskId,
+        title,
+        calendarUrl: kept.calendarUrl,
+        uid: kept.uid,
+        etag: kept.etag,
+        event: kept,
+        reason: entry ? 'Mapping pointed to a missing event' : 'Event was not tracked'
+      });
+    }
+  }
+
+  // Tasks whose event is missing on the server
+  const taskIds = new Set([...Object.keys(taskEventMapping), ...tasks.filter(shouldSyncTask).map(t => t.id)]);
+  for (const taskId of taskIds) {
+    if (copiesByTask.has(taskId)) continue;
+
+    const task = tasksById.get(taskId);
+    const calendarUrl = taskEventMapping[taskId] ? getEventCalendarUrl(taskId) : getCalendarForTask(task).url;
+    if (!listedUrls.has(calendarUrl)) continue; // Unknown - the calendar couldn't be listed
+
+    if (task && shouldSyncTask(task)) {
+      if (operationQueue[taskId]) continue; // Already waiting for its retry
+      actions.push({
+        type: 'recreate',
+        taskId,
+        title: task.title,
+        calendarUrl,
+        reason: taskEventMapping[taskId] ? 'Event was deleted on the server' : 'Event was never created'
+      });
+    } else if (taskEventMapping[taskId]) {
+      actions.push({
+        type: 'drop',
+        taskId,
+        title: task ? task.title : taskId,
+        calendarUrl,
+        reason: 'Mapping without event'
+      });
+    }
+  }
+
+  return { actions, failedUrls };
+}
+
+/**
+ * Reconciles the server with the tasks (see planReconciliation)
+ * With options.dryRun only the planned actions are returned.
+ * Returns { actions, failedUrls, deleted, adopted, dropped, recreated, errors }
+ */
+async function reconcileServer(options = {}) {
+  if (!caldavConfig.enabled) throw new Error('CalDAV Sync is not enabled');
+  if (areCredentialsMissing()) throw new Error('CalDAV credentials missing on this device');
+
+  const { actions, failedUrls } = await planReconciliation();
+  const result = { actions, failedUrls, deleted: 0, adopted: 0, dropped: 0, recreated: 0, errors: 0 };
+  if (options.dryRun) return result;
+
+  const tasks = await PluginAPI.getTasks();
+  const tasksById = new Map(tasks.map(t => [t.id, t]));
+
+  await withBatchedSaves(() => runConcurrently(actions, async (action) => {
+    const task = tasksById.get(action.taskId);
+
+    try {
+      if (action.type === 'delete') {
+        await deleteCalDAVEvent(action.calendarUrl, action.uid, action.etag);
+        const entry = taskEventMapping[action.taskId];
+        if (entry && getEventCalendarUrl(action.taskId) === action.calendarUrl) {
+          delete taskEventMapping[action.taskId];
+        }
+        result.deleted++;
+      } else if (action.type === 'adopt') {
+        // In sync if the event matches the task; otherwise the next sync writes the task over it
+        const fields = getEventFieldsFromEvent(action.event, task);
+        const hash = eventFieldsEqual(fields, getTaskEventFields(task)) ? (await buildEventData(task, tasks)).hash : null;
+        taskEventMapping[action.taskId] = {
+          uid: action.uid,
+          calendarUrl: action.calendarUrl,
+          etag: action.etag,
+          fields,
+          hash
+        };
+        result.adopted++;
+      } else if (action.type === 'drop') {
+        delete taskEventMapping[action.taskId];
+        delete syncStatus[action.taskId];
+        result.dropped++;
+      } else if (action.type === 'recreate' && task) {
+        // The old ETag would make the PUT fail: there is nothing to match anymore
+        delete taskEventMapping[action.taskId];
+        await syncTaskToCalDAV(task, { force: true, tasks });
+        if (taskEventMapping[action.taskId]) result.recreated++;
+        else result.errors++;
+      }
+    } catch (error) {
+      console.error('[CalDAV Sync] Error reconciling:', action.type, action.taskId, error);
+      logActivity('error', 'reconcile', `${action.type} failed: ${error.message}`, { id: action.taskId, title: action.title });
+      result.errors++;
+    }
+  }));
+
+  logActivity(result.errors > 0 || failedUrls.length > 0 ? 'warn' : 'info', 'reconcile',
+    `Reconciled with server: ${result.deleted} orphaned event(s) deleted, ${result.recreated} recreated, ` +
+    `${result.adopted + result.dropped} mapping(s) repaired, ${result.errors} error(s)` +
+    (failedUrls.length > 0 ? `, ${failedUrls.length} calendar(s) not reachable` : ''));
+  await saveData();
+
+  return result;
+}
+
+// ============================================================================
+// Bulk Sync (Preview & Apply)
+// ============================================================================
+// The header button opens a dry-run preview instead of syncing right away:
+// buildSyncPlan() compares every task with its event on the server and lists
+// what would be created, updated, deleted or left unchanged (with a field
+// diff). applySyncPlan() then executes only the items ticked in the preview.
+// Tasks in calendars that can't be listed are left out, not guessed at.
+
+const PLAN_FIELD_LABELS = {
+  calendar: 'Calendar',
+  allDay: 'All-day',
+  start: 'Start',
+  end: 'End',
+  title: 'Title',
+  notes: 'Description',
+  done: 'Done'
+};
+
+/**
+ * Formats an event field value for the preview
+ */
+function formatPlanValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if ((field === 'start' || field === 'end') && typeof value === 'number') {
+    return new Date(value).toLocaleString();
+  }
+  return String(value);
+}
+
+/**
+ * Returns the field-level differences between the server and the task version
+ * [{ field, label, server, local }]
+ */
+function diffEventFields(serverFields, taskFields) {
+  return Object.keys(PLAN_FIELD_LABELS)
+    .filter(field => field !== 'calendar')
+    .filter(field => (serverFields ? serverFields[field] : undefined) !== taskFields[field])
+    .filter(field => !(field === 'end' && taskFields.allDay)) // All-day events have no end
+    .map(field => ({
+      field,
+      label: PLAN_FIELD_LABELS[field],
+      server: serverFields ? formatPlanValue(field, serverFields[field]) : '—',
+      local: formatPlanValue(field, taskFields[field])
+    }));
+}
+
+/**
+ * Returns the display name of a calendar URL
+ */
+function getCalendarName(url) {
+  const calendar = getCalendars().find(c => c.url === url);
+  return calendar ? getCalendarLabel(calendar) : url;
+}
+
+/**
+ * Returns the display name of a target calendar, with its account when there are several
+ */
+function getCalendarLabel(calendar) {
+  const name = calendar.name || calendar.url;
+  if (!caldavConfig.accounts || caldavConfig.accounts.length === 0) return name;
+  return `${getAccountName(calendar.accountId)} › ${name}`;
+}
+
+/**
+ * Computes what a full sync would do, without changing anything
+ * Returns { items: [{ id, taskId, action, direction, title, calendar, diff }], extras, failedUrls }
+ * action: 'create' | 'update' | 'delete' | 'unchanged'; direction: 'calendar' | 'task'
+ * failedUrls: calendars that couldn't be listed; their tasks are not checked
+ */
+async function buildSyncPlan() {
+  await loadRepeatCfgs();
+  await refreshTaskMeta();
+
+  const tasks = await PluginAPI.getTasks();
+  const tasksToSync = tasks.filter(shouldSyncTask);
+  const syncIds = new Set(tasksToSync.map(t => t.id));
+
+  // One REPORT per calendar instead of one GET per task
+  const { events: serverEvents, failedUrls } = await listServerEvents();
+  const failed = new Set(failedUrls);
+
+  const items = [];
+
+  for (const task of tasks) {
+    if (!taskEventMapping[task.id] || syncIds.has(task.id) || isTaskPaused(task)) continue;
+
+    // Mapped task that is no longer scheduled (or completed) → its event gets deleted
+    const calendarUrl = getEventCalendarUrl(task.id);
+    if (failed.has(calendarUrl)) continue;
+    const event = serverEvents.get(`${calendarUrl}|${getEventUid(task.id)}`);
+    items.push({
+      id: `delete-${task.id}`,
+      taskId: task.id,
+      action: event ? 'delete' : 'unchanged',
+      direction: 'calendar',
+      title: task.title,
+      calendar: getCalendarName(calendarUrl),
+      diff: []
+    });
+  }
+
+  for (const task of tasksToSync) {
+    const entry = taskEventMapping[task.id];
+    const target = getCalendarForTask(task);
+    const currentUrl = entry ? getEventCalendarUrl(task.id) : target.url;
+    if (failed.has(currentUrl) || failed.has(target.url)) continue;
+
+    const event = serverEvents.get(`${currentUrl}|${getEventUid(task.id)}`);
+    const taskFields = getTaskEventFields(task);
+    const item = {
+      id: `sync-${task.id}`,
+      taskId: task.id,
+      action: 'create',
+      direction: 'calendar',
+      title: task.title,
+      calendar: getCalendarLabel(target),
+      diff: []
+    };
+
+    if (!event) {
+      item.diff = diffEventFields(null, taskFields);
+      items.push(item);
+      continue;
+    }
+
+    const serverFields = getEventFieldsFromEvent(event, task);
+    item.diff = diffEventFields(serverFields, taskFields);
+    if (currentUrl !== target.url) {
+      item.diff.unshift({
+        field: 'calendar',
+        label: PLAN_FIELD_LABELS.calendar,
+        server: getCalendarName(currentUrl),
+        local: target.name || target.url
+      });
+    }
+
+    item.action = item.diff.length > 0 ? 'update' : 'unchanged';
+
+    // Two-way: calendar-side edits flow into the task (see pullCalendarChanges)
+    const lastSynced = entry && entry.fields;
+    if (item.action === 'update' && caldavConfig.twoWaySync && lastSynced && currentUrl === target.url &&
+      !eventFieldsEqual(serverFields, lastSynced) &&
+      (eventFieldsEqual(taskFields, lastSynced) || caldavConfig.conflictResolution === 'calendar')) {
+      item.direction = 'task';
+      item.serverFields = serverFields;
+      item.etag = event.etag;
+    }
+
+    items.push(item);
+  }
+
+  // Events of tasks that no longer exist (e.g. deleted while the plugin was off)
+  const taskIds = new Set(tasks.map(t => t.id));
+  const archivedIds = await loadArchivedTaskIds();
+  for (const event of serverEvents.values()) {
+    const taskId = getTaskIdFromUid(event.uid);
+    if (taskIds.has(taskId) || !isOrphanedTaskId(taskId, archivedIds)) continue;
+
+    items.push({
+      id: `orphan-${event.calendarUrl}|${event.uid}`,
+      taskId,
+      action: 'delete',
+      direction: 'calendar',
+      title: event.title || taskId,
+      calendar: getCalendarName(event.calendarUrl),
+      diff: [],
+      orphan: { calendarUrl: event.calendarUrl, uid: event.uid, etag: event.etag }
+    });
+  }
+
+  lastSyncPlan = {
+    items,
+    extras: caldavConfig.syncRecurring || isWorklogEnabled() || (caldavConfig.importCalendars || []).length > 0,
+    failedUrls
+  };
+  return lastSyncPlan;
+}
+
+/**
+ * Executes the selected items of the last sync plan
+ * With `extras`, repeating series, worked time and calendar imports are synced as well.
+ * Returns { applied, errors }
+ */
+async function applySyncPlan(itemIds, options = {}) {
+  if (!lastSyncPlan) throw new Error('No sync preview available');
+
+  const selected = new Set(itemIds);
+  const items = lastSyncPlan.items.filter(item => selected.has(item.id) && item.action !== 'unchanged');
+  lastSyncPlan = null;
+
+  await drainQueue({ force: true });
+
+  // Tasks may have changed since the preview - always apply their current state
+  const tasks = await PluginAPI.getTasks();
+  const tasksById = new Map(tasks.map(t => [t.id, t]));
+  let applied = 0;
+  let errors = 0;
+
+  // Every item concerns a different task (or orphaned event), so they can run in parallel
+  await withBatchedSaves(() => runConcurrently(items, async (item) => {
+    const task = tasksById.get(item.taskId);
+
+    if (item.orphan) {
+      try {
+        await deleteCalDAVEvent(item.orphan.calendarUrl, item.orphan.uid, item.orphan.etag);
+        if (taskEventMapping[item.taskId]) delete taskEventMapping[item.taskId];
+        logActivity('info', 'delete', 'Orphaned event deleted', { id: item.taskId, title: item.title });
+        applied++;
+      } catch (error) {
+        console.error('[CalDAV Sync] Error deleting orphaned event:', item.id, error);
+        errors++;
+      }
+      return;
+    }
+
+    if (!task) return;
+
+    try {
+      if (item.action === 'create' && taskEventMapping[task.id]) {
+        // The event was missing on the server - recreate it without the stale ETag
+        taskEventMapping[task.id] = { ...taskEventMapping[task.id], etag: null };
+      }
+
+      if (item.action === 'delete') {
+        if (await deleteTaskEvent(task.id, task.title)) applied++;
+      } else if (item.direction === 'task') {
+        await applyEventToTask(task, item.serverFields, item.etag, tasks);
+        applied++;
+      } else {
+        // Errors are handled (and queued) by syncTaskToCalDAV itself
+        await syncTaskToCalDAV(task, { force: true, tasks });
+        if (getTaskSyncState(task.id) === 'synced') applied++;
+        else errors++;
+      }
+    } catch (error) {
+      console.error('[CalDAV Sync] Error applying sync item:', item.id, error);
+      errors++;
+    }
+  }));
+
+  if (options.extras) {
+    try {
+      await syncAllRepeatSeries();
+      await syncWorklog();
+      await importExternalCalendars();
+    } catch (error) {
+      console.error('[CalDAV Sync] Error synchronizing series/worked time/imports:', error);
+      errors++;
+    }
+  }
+
+  logActivity(errors > 0 ? 'warn' : 'info', 'bulk', `Bulk sync: ${applied} change(s) applied, ${errors} error(s)`);
+  await saveData();
+
+  return { applied, errors };
+}
+
+// ============================================================================
+// Status & Activity Log
+// ============================================================================
+// The status page of the settings view lists every tracked task with its sync
+// state (synced, pending, failed, or paused with its account) and the recent operations of the activity
+// log. Both are persisted with the rest of the plugin data (see saveData).
+
+/**
+ * Appends an entry to the activity log, dropping the oldest beyond the limit
+ * The entry is persisted with the next saveData().
+ */
+function logActivity(level, action, message, task) {
+  activityLog.push({
+    time: Date.now(),
+    level,
+    action,
+    taskId: (task && task.id) || null,
+    title: (task && task.title) || null,
+    message
+  });
+
+  if (activityLog.length > ACTIVITY_LOG_LIMIT) {
+    activityLog.splice(0, activityLog.length - ACTIVITY_LOG_LIMIT);
+  }
+}
+
+/**
+ * Records a permanent error of a task's sync or delete (status page + activity log)
+ */
+function recordSyncError(task, action, error) {
+  syncStatus[task.id] = { ...syncStatus[task.id], lastError: error.message, errorAt: Date.now() };
+  logActivity('error', action, error.message, task);
+}
+
+/**
+ * Sync state of a task: 'pending' (queued for retry), 'failed' (last attempt
+ * failed permanently) or 'synced'
+ */
+function getTaskSyncState(taskId) {
+  if (operationQueue[taskId]) return 'pending';
+  if (syncStatus[taskId] && syncStatus[taskId].lastError) return 'failed';
+  return 'synced';
+}
+
+/**
+ * Lists all tasks with an event, a queued operation or a sync error
+ */
+async function getStatusReport() {
+  const tasks = await PluginAPI.getTasks();
+  const tasksById = new Map(tasks.map(t => [t.id, t]));
+
+  // Errors of tasks that were deleted or unscheduled since are no longer relevant
+  for (const taskId of Object.keys(syncStatus)) {
+    const task = tasksById.get(taskId);
+    if (!taskEventMapping[taskId] && !operationQueue[taskId] && !(task && shouldSyncTask(task))) {
+      delete syncStatus[taskId];
+    }
+  }
+
+  const taskIds = new Set([
+    ...Object.keys(taskEventMapping),
+    ...Object.keys(operationQueue),
+    ...Object.keys(syncStatus)
+  ]);
+
+  return Array.from(taskIds).map(taskId => {
+    const task = tasksById.get(taskId);
+    const status = syncStatus[taskId] || {};
+    const op = operationQueue[taskId];
+    const calendarUrl = getEventCalendarUrl(taskId);
+
+    return {
+      taskId,
+      title: task ? task.title : null,
+      state: task && isTaskPaused(task) ? 'paused' : getTaskSyncState(taskId),
+      lastSync: status.lastSync || null,
+      lastError: op ? op.lastError : status.lastError || null,
+      nextAttempt: op ? op.nextAttempt : null,
+      calendar: getCalendarName(calendarUrl),
+      assignedCalendarId: taskAssignments[taskId] || null,
+      eventUrl: taskEventMapping[taskId] ? `${calendarUrl}${getEventUid(taskId)}.ics` : null
+    };
+  });
+}
+
+// ============================================================================
+// Credentials (Device-Local)
+// ============================================================================
+// Passwords and tokens are not part of the synced plugin data: they would be
+// copied to every synced device and into backups. They live in the
+// localStorage of this device instead (CREDENTIALS_KEY); the synced config
+// only has the non-secret settings. Credentials saved by older versions in
+// the synced config are moved to the device they are first loaded on, and
+// removed from the synced data (see loadData). On other devices the
+// credentials have to be entered once ("credentials missing on this device").
+// The secrets of additional accounts are stored per account id (secrets.accounts).
+
+const CREDENTIALS_KEY = 'caldav-sync:credentials';
+const SECRET_FIELDS = ['password', 'accessToken', 'refreshToken', 'clientSecret', 'tokenExpiresAt'];
+
+// Set by loadData when the synced config still contains secrets (saved by an older version)
+let credentialsMigrationPending = false;
+
+/**
+ * Splits a config into its synced part and its secret fields
+ * Secrets of additional accounts go to secrets.accounts: { accountId: { password, ... } }
+ */
+function splitSecrets(config) {
+  const synced = { ...config };
+  const secrets = takeSecrets(synced);
+
+  if (Array.isArray(synced.accounts)) {
+    const accountSecrets = {};
+    synced.accounts = synced.accounts.map(account => {
+      const syncedAccount = { ...account };
+      const fields = takeSecrets(syncedAccount);
+      if (Object.keys(fields).length > 0) accountSecrets[account.id] = fields;
+      return syncedAccount;
+    });
+    if (Object.keys(accountSecrets).length > 0) secrets.accounts = accountSecrets;
+  }
+
+  return { synced, secrets };
+}
+
+/**
+ * Removes the secret fields from an object, returns the non-empty ones
+ */
+function takeSecrets(object) {
+  const secrets = {};
+  for (const field of SECRET_FIELDS) {
+    if (field in object) {
+      if (object[field]) secrets[field] = object[field];
+      delete object[field];
+    }
+  }
+  return secrets;
+}
+
+/**
+ * Returns a config with the credentials of this device filled in (see splitSecrets)
+ */
+function applySecrets(config, secrets) {
+  if (!secrets) return config;
+
+  const { accounts: accountSecrets = {}, ...fields } = secrets;
+  return {
+    ...config,
+    ...fields,
+    accounts: (config.accounts || []).map(account => ({ ...account, ...accountSecrets[account.id] }))
+  };
+}
+
+/**
+ * Loads the credentials of this device (null if none are stored)
+ */
+function loadLocalCredentials() {
+  try {
+    const stored = localStorage.getItem(CREDENTIALS_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('[CalDAV Sync] Error loading credentials of this device:', error);
+    return null;
+  }
+}
+
+/**
+ * Stores the secret fields (of the config by default) on this device
+ */
+function saveLocalCredentials(secrets = splitSecrets(caldavConfig).secrets) {
+  try {
+    if (Object.keys(secrets).length === 0) {
+      localStorage.removeItem(CREDENTIALS_KEY);
+    } else {
+      localStorage.setItem(CREDENTIALS_KEY, JSON.stringify(secrets));
+    }
+  } catch (error) {
+    // Without localStorage, the credentials only last until the next restart
+    console.error('[CalDAV Sync] Error saving credentials on this device:', error);
+  }
+}
+
+/**
+ * Checks if sync is configured, but this device has no credentials for it
+ */
+function areCredentialsMissing() {
+  return !!caldavConfig.calendarUrl && !hasCredentials(caldavConfig);
+}
+
+/**
+ * Checks if sync is enabled and can authenticate on this device
+ */
+function isSyncActive() {
+  return caldavConfig.enabled && !areCredentialsMissing();
+}
+
+/**
+ * Returns a copy of a config (or account) with the secret fields masked (for logging)
+ */
+function redactSecrets(config) {
+  const redacted = { ...config };
+  for (const field of SECRET_FIELDS) {
+    if (redacted[field] && field !== 'tokenExpiresAt') redacted[field] = '***';
+  }
+  if (Array.isArray(redacted.accounts)) redacted.accounts = redacted.accounts.map(redactSecrets);
+  return redacted;
+}
+
+// ============================================================================
+// Persistence
+// ============================================================================
+// IMPORTANT: persistDataSynced() and loadSyncedData() accept NO key parameter!
+// There is only one persistence slot per plugin.
+// We therefore store Config and Mapping together in one object.
+
+/**
+ * Loads saved data (Config + Mapping + Queue) from the plugin storage,
+ * and the credentials from this device (see loadLocalCredentials)
+ */
+async function loadData() {
+  try {
+    const dataString = await PluginAPI.loadSyncedData();
+    if (!dataString || typeof dataString !== 'string') return;
+
+    const data = JSON.parse(dataString);
+
+    if (data.config && typeof data.config === 'object') {
+      const { synced, secrets } = splitSecrets(data.config);
+      caldavConfig = { ...caldavConfig, ...synced };
+
+      // Saved before the feed named its account: keep the account it was uploaded with
+      if (synced.feedUrl && !synced.feedAccountId) {
+        caldavConfig = { ...caldavConfig, feedAccountId: getAccountIdForUrl(synced.feedUrl) };
+      }
+
+      // Saved by an older version: move the credentials to this device (unless it has its own)
+      if (Object.keys(secrets).length > 0) {
+        if (!loadLocalCredentials()) saveLocalCredentials(secrets);
+        credentialsMigrationPending = true;
+      }
+    }
+
+    if (data.mapping && typeof data.mapping === 'object') {
+      taskEventMapping = data.mapping;
+    }
+
+    if (data.assignments && typeof data.assignments === 'object') {
+      taskAssignments = data.assignments;
+    }
+
+    if (data.queue && typeof data.queue === 'object') {
+      operationQueue = data.queue;
+    }
+
+    if (data.series && typeof data.series === 'object') {
+      seriesEventMapping = data.series;
+    }
+
+    if (data.worklog && typeof data.worklog === 'object') {
+      worklogMapping = data.worklog;
+    }
+
+    if (data.imported && typeof data.imported === 'object') {
+      importedEventMapping = data.imported;
+      indexImportedTasks();
+    }
+
+    if (data.status && typeof data.status === 'object') {
+      syncStatus = data.status;
+    }
+
+    if (Array.isArray(data.log)) {
+      activityLog = data.log;
+    }
+  } catch (error) {
+    console.error('[CalDAV Sync] Error loading data:', error);
+  }
+
+  caldavConfig = applySecrets(caldavConfig, loadLocalCredentials());
+}
+
+/**
+ * Saves Config, Mapping and the offline queue together to the plugin storage
+ * Inside withBatchedSaves() the save is deferred to the end of the batch.
+ */
+async function saveData() {
+  if (saveBatchDepth > 0) {
+    saveDeferred = true;
+    return;
+  }
+
+  try {
+    saveLocalCredentials();
+
+    const data = {
+      config: splitSecrets(caldavConfig).synced,
+      mapping: taskEventMapping,
+      assignments: taskAssignments,
+      queue: operationQueue,
+      series: seriesEventMapping,
+      worklog: worklogMapping,
+      imported: importedEventMapping,
+      status: syncStatus,
+      log: activityLog
+    };
+
+    await PluginAPI.persistDataSynced(JSON.stringify(data));
+  } catch (error) {
+    console.error('[CalDAV Sync] Error saving data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Runs fn() with all saveData() calls collected into one save at the end
+ */
+async function withBatchedSaves(fn) {
+  saveBatchDepth++;
+
+  try {
+    return await fn();
+  } finally {
+    saveBatchDepth--;
+    if (saveBatchDepth === 0 && saveDeferred) {
+      saveDeferred = false;
+      await saveData();
+    }
+  }
+}
+
+// ============================================================================
+// Task Hook Scheduler
+// ============================================================================
+// Typing a title or dragging a task fires dozens of hooks in a row, which used
+// to race each other. Hooks are therefore not handled right away: per task
+// only the strongest pending operation is kept (delete > complete > update),
+// and all pending tasks are handled together once the hooks have been quiet
+// for HOOK_DEBOUNCE (at the latest HOOK_MAX_WAIT after the first one). Such a
+// batch reads the task list once and works on the current state of each task.
+// Operations on the same event run one at a time (batches never overlap, and
+// instances of one series are handled in order), and the data is saved once.
+
+// Pending hook operations: Map(taskId → { type: 'update' | 'complete' | 'delete', since })
+const pendingTaskHooks = new Map();
+
+// Timeout handle of the next batch, and the running batch (the next one waits for it)
+let hookBatchTimer = null;
+let hookBatch = Promise.resolve();
+
+const HOOK_DEBOUNCE = 1000;
+const HOOK_MAX_WAIT = 5000;
+const HOOK_PRIORITY = { update: 1, complete: 2, delete: 3 };
+
+/**
+ * Records a task hook (payload: task id or { taskId }) and schedules the batch
+ * Payloads without a task id (e.g. null) are dropped.
+ */
+function scheduleTaskHook(type, taskIdOrObject) {
+  const taskId = taskIdOrObject && typeof taskIdOrObject === 'object' ? taskIdOrObject.taskId : taskIdOrObject;
+  if (!taskId) return;
+
+  const pending = pendingTaskHooks.get(taskId);
+  if (!pending) {
+    pendingTaskHooks.set(taskId, { type, since: Date.now() });
+  } else if (HOOK_PRIORITY[type] >= HOOK_PRIORITY[pending.type]) {
+    pending.type = type;
+  }
+
+  if (hookBatchTimer) clearTimeout(hookBatchTimer);
+
+  const oldest = Math.min(...Array.from(pendingTaskHooks.values(), op => op.since));
+  const delay = Math.max(0, Math.min(HOOK_DEBOUNCE, oldest + HOOK_MAX_WAIT - Date.now()));
+
+  hookBatchTimer = setTimeout(() => {
+    hookBatchTimer = null;
+    hookBatch = hookBatch.then(runTaskHookBatch).catch(error => {
+      console.error('[CalDAV Sync] Error handling task changes:', error);
+    });
+  }, delay);
+}
+
+/**
+ * Returns the uid of the event a task's operations write to
+ * (instances of an exported series all write to the series event)
+ */
+function getHookEventKey(taskId, task) {
+  if (task && isRepeatSeriesTask(task)) return `sp-repeat-${task.repeatCfgId}`;
+
+  const cfgId = Object.keys(seriesEventMapping).find(id => seriesEventMapping[id].instances[taskId]);
+  return cfgId ? `sp-repeat-${cfgId}` : getEventUid(taskId);
+}
+
+/**
+ * Handles all pending task hooks (see scheduleTaskHook)
+ */
+async function runTaskHookBatch() {
+  if (pendingTaskHooks.size === 0) return;
+
+  const batch = Array.from(pendingTaskHooks, ([taskId, op]) => ({ taskId, type: op.type }));
+  pendingTaskHooks.clear();
+
+  const tasks = await PluginAPI.getTasks();
+  const tasksById = new Map(tasks.map(t => [t.id, t]));
+
+  const groups = new Map();
+  for (const op of batch) {
+    const key = getHookEventKey(op.taskId, tasksById.get(op.taskId));
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(op);
+  }
+
+  // Parents and subtasks whose events show the changed tasks are updated afterwards
+  const relatedIds = getRelatedTaskIds(batch.map(op => op.taskId), tasksById);
+  knownParentIds = new Map(tasks.filter(t => t.parentId).map(t => [t.id, t.parentId]));
+
+  await withBatchedSaves(async () => {
+    await runConcurrently(Array.from(groups.values()), async (ops) => {
+      for (const op of ops) {
+        const task = tasksById.get(op.taskId);
+
+        try {
+          if (op.type === 'delete') {
+            await onTaskDelete(op.taskId);
+          } else if (op.type === 'complete' && (!task || task.isDone)) {
+            await onTaskComplete(op.taskId, task, tasks);
+          } else {
+            await onTaskUpdate(op.taskId, task, tasks); // Also a completion that was undone right away
+          }
+        } catch (error) {
+          console.error('[CalDAV Sync] Error handling task change:', op.taskId, error);
+        }
+      }
+    });
+
+    await runConcurrently(relatedIds, async (taskId) => {
+      try {
+        await onTaskUpdate(taskId, tasksById.get(taskId), tasks);
+      } catch (error) {
+        console.error('[CalDAV Sync] Error updating related task:', taskId, error);
+      }
+    });
+  });
+
+  scheduleFeedExport();
+}
+
+// ============================================================================
+// Event Handlers
+// ============================================================================
+
+
+/**
+ * Called (via the hook scheduler) when a task was updated
+ * Syncs the task to CalDAV or removes it if no longer scheduled
+ */
+async function onTaskUpdate(taskId, task, tasks) {
+  if (!task) {
+    console.warn('[CalDAV Sync] Task not found:', taskId);
+    return;
+  }
+
+  scheduleWorklogSync();
+
+  // Only warns, so the sync doesn't wait for it
+  checkDoubleBooking(task).catch(error => {
+    console.error('[CalDAV Sync] Error checking for double bookings:', error);
+  });
+
+  if (caldavConfig.syncRecurring && task.repeatCfgId) {
+    if (!repeatCfgs.some(cfg => cfg.id === task.repeatCfgId)) {
+      await loadRepeatCfgs(); // New repeat config since the last load
+    }
+
+    if (isRepeatSeriesTask(task)) {
+      // Remove a single event from before series export was enabled
+      if (taskEventMapping[taskId]) {
+        await deleteTaskEvent(taskId, task.title);
+      }
+      await syncRepeatSeries(task.repeatCfgId);
+      return;
+    }
+  }
+
+  if (shouldSyncTask(task)) {
+    await syncTaskToCalDAV(task, { tasks });
+  } else if (shouldDeleteTask(task)) {
+    try {
+      const deleted = await deleteTaskEvent(taskId, task.title);
+      if (!deleted) return;
+
+      PluginAPI.showSnack({
+        msg: `Event for "${task.title}" removed (no longer scheduled)`,
+        type: 'SUCCESS'
+      });
+    } catch (error) {
+      console.error('[CalDAV Sync] Error deleting:', error);
+    }
+  }
+}
+
+/**
+ * Called (via the hook scheduler) when a task was deleted
+ * Removes the corresponding CalDAV event
+ */
+async function onTaskDelete(taskId) {
+  clearBusyWarning(taskId);
+
+  if (taskAssignments[taskId]) {
+    delete taskAssignments[taskId];
+    await saveData();
+  }
+
+  // The tracked time is gone with the task
+  try {
+    await deleteTaskWorklog(taskId);
+  } catch (error) {
+    console.error('[CalDAV Sync] Error deleting worked events:', error);
+  }
+
+  await removeTaskEvent(taskId);
+}
+
+/**
+ * Removes the event of a deleted or completed task
+ */
+async function removeTaskEvent(taskId) {
+  try {
+    // A deleted instance of a series is a skipped occurrence
+    if (await skipSeriesInstance(taskId)) return;
+
+    const deleted = await deleteTaskEvent(taskId);
+    if (!deleted) return;
+
+    PluginAPI.showSnack({
+      msg: 'Task removed from calendar',
+      type: 'SUCCESS'
+    });
+  } catch (error) {
+    console.error('[CalDAV Sync] Error deleting event:', error);
+    PluginAPI.showSnack({
+      msg: `Error removing from calendar: ${error.message}`,
+      type: 'ERROR'
+    });
+  }
+}
+
+/**
+ * Called (via the hook scheduler) when a task was completed
+ * Removes the event from the calendar (if deleteCompletedTasks is enabled),
+ * otherwise the event is marked done (see isCompletedEvent).
+ * In VTODO calendars the to-do is kept and marked completed instead
+ */
+async function onTaskComplete(taskId, task, tasks) {
+  if (task && (getCalendarForTask(task).componentType === 'VTODO' || !caldavConfig.deleteCompletedTasks)) {
+    await onTaskUpdate(taskId, task, tasks);
+    return;
+  }
+
+  clearBusyWarning(taskId);
+
+  // Only delete if setting is enabled
+  if (caldavConfig.deleteCompletedTasks) {
+    await removeTaskEvent(taskId);
+  }
+}
+
+// ============================================================================
+// Settings UI Communication (postMessage)
+// ============================================================================
+
+/**
+ * Handles config request from settings iframe
+ * Sends current config back to iframe
+ */
+function handleConfigRequest(event) {
+  event.source.postMessage({
+    type: 'CONFIG_RESPONSE',
+    config: caldavConfig,
+    credentialsMissing: areCredentialsMissing(),
+    accountsMissingCredentials: getAccountsMissingCredentials()
+  }, '*');
+}
+
+/**
+ * Handles config save request from settings iframe
+ * Updates local config and persists data
+ */
+async function handleConfigSave(event) {
+  try {
+    caldavConfig = { ...caldavConfig, ...event.data.config };
+    await saveData();
+    startPullTimer();
+    startWorklogTimer();
+    startImportTimer();
+    startFeedTimer();
+    scheduleFeedExport();
+    scheduleQueueDrain();
+
+    // Busy calendars or hours may have changed → check tasks again on their next change
+    busyCheckedTimes.clear();
+    if (!isBusyCheckEnabled()) busyWarnings = {};
+
+    event.source.postMessage({
+      type: 'CONFIG_SAVED',
+      success: true
+    }, '*');
+
+    PluginAPI.showSnack({
+      msg: 'CalDAV settings saved',
+      type: 'SUCCESS'
+    });
+  } catch (error) {
+    console.error('[CalDAV Sync] Error saving config:', error);
+
+    event.source.postMessage({
+      type: 'CONFIG_SAVED',
+      success: false,
+      error: error.message
+    }, '*');
+  }
+}
+
+/**
+ * Handles calendar discovery request from settings iframe
+ * Uses the credentials from the form, which may not be saved yet
+ */
+async function handleDiscoverCalendars(event) {
+  const { serverUrl, auth } = event.data;
+
+  try {
+    const result = await discoverCalendars(serverUrl, auth);
+
+    event.source.postMessage({
+      type: 'DISCOVER_RESULT',
+      success: true,
+      homeUrl: result.homeUrl,
+      calendars: result.calendars,
+      tokens: getTokenFields(auth)
+    }, '*');
+  } catch (error) {
+    console.error('[CalDAV Sync] Discovery error:', error);
+
+    event.source.postMessage({
+      type: 'DISCOVER_RESULT',
+      success: false,
+      error: (error.status === 401 || error.status === 403) ? 'Authentication failed' : error.message
+    }, '*');
+  }
+}
+
+/**
+ * Handles create calendar request from settings iframe
+ */
+async function handleCreateCalendar(event) {
+  const { homeUrl, name, auth } = event.data;
+
+  try {
+    const calendar = await createCalendar(homeUrl, name, auth);
+
+    event.source.postMessage({
+      type: 'CALENDAR_CREATED',
+      success: true,
+      calendar,
+      tokens: getTokenFields(auth)
+    }, '*');
+  } catch (error) {
+    console.error('[CalDAV Sync] Error creating calendar:', error);
+
+    event.source.postMessage({
+      type: 'CALENDAR_CREATED',
+      success: false,
+      error: error.message
+    }, '*');
+  }
+}
+
+/**
+ * Handles connection test request from settings iframe
+ * Sends a PROPFIND to the calendar with the (unsaved) form credentials
+ */
+async function handleTestConnection(event) {
+  const { calendarUrl, auth } = event.data;
+
+  try {
+    const response = await caldavFetch(calendarUrl, {
+      method: 'PROPFIND',
+      headers: {
+        'Depth': '0',
+        'Content-Type': 'application/xml'
+      }
+    }, auth);
+
+    event.source.postMessage({
+      type: 'CONNECTION_RESULT',
+      success: true,
+      status: response.status,
+      statusText: response.statusText,
+      tokens: getTokenFields(auth)
+    }, '*');
+  } catch (error) {
+    console.error('[CalDAV Sync] Connection test error:', error);
+
+    event.source.postMessage({
+      type: 'CONNECTION_RESULT',
+      success: false,
+      status: error.status,
+      error: error.message
+    }, '*');
+  }
+}
+
+/**
+ * Handles the settings iframe asking which view to open
+ */
+function handleViewRequest(event) {
+  event.source.postMessage({
+    type: 'VIEW',
+    view: pendingView || 'settings'
+  }, '*');
+  pendingView = null;
+}
+
+/**
+ * Handles sync preview request from settings iframe
+ */
+async function handleSyncPlanRequest(event) {
+  try {
+    const plan = await buildSyncPlan();
+
+    event.source.postMessage({
+      type: 'SYNC_PLAN',
+      success: true,
+      items: plan.items.map(({ serverFields, etag, orphan, ...item }) => item),
+      extras: plan.extras,
+      failedCalendars: plan.failedUrls.map(getCalendarName)
+    }, '*');
+  } catch (error) {
+    console.error('[CalDAV Sync] Error building sync preview:', error);
+
+    event.source.postMessage({
+      type: 'SYNC_PLAN',
+      success: false,
+      error: error.message
+    }, '*');
+  }
+}
+
+/**
+ * Handles apply request for the selected preview items from settings iframe
+ */
+async function handleApplySyncPlan(event) {
+  try {
+    const result = await applySyncPlan(event.data.itemIds || [], { extras: event.data.extras });
+
+    event.source.postMessage({
+      type: 'SYNC_PLAN_APPLIED',
+      success: true,
+      ...result
+    }, '*');
+
+    PluginAPI.showSnack({
+      msg: `${result.applied} changes synchronized, ${result.errors} errors`,
+      type: result.errors === 0 ? 'SUCCESS' : 'ERROR'
+    });
+  } catch (error) {
+    console.error('[CalDAV Sync] Error applying sync preview:', error);
+
+    event.source.postMessage({
+      type: 'SYNC_PLAN_APPLIED',
+      success: false,
+      error: error.message
+    }, '*');
+  }
+}
+
+/**
+ * Handles status page request from settings iframe
+ * Sends the sync state of all tracked tasks and the activity log
+ */
+async function handleStatusRequest(event) {
+  try {
+    event.source.postMessage({
+      type: 'SYNC_STATUS',
+      success: true,
+      tasks: await getStatusReport(),
+      calendars: getCalendars().map(calendar => ({ id: calendar.id, label: getCalendarLabel(calendar) })),
+      busy: Object.entries(busyWarnings).map(([taskId, warning]) => ({ taskId, ...warning })),
+      log: activityLog
+    }, '*');
+  } catch (error) {
+    console.error('[CalDAV Sync] Error building status:', error);
+
+    event.source.postMessage({
+      type: 'SYNC_STATUS',
+      success: false,
+      error: error.message
+    }, '*');
+  }
+}
+
+/**
+ * Handles double-booking requests from the status page: check all upcoming
+ * tasks, or move a task to its suggested free slot (event.data.taskId)
+ */
+async function handleBusyRequest(event) {
+  try {
+    if (event.data.type === 'MOVE_TO_FREE_SLOT') {
+      await moveToFreeSlot(event.data.taskId);
+    } else {
+      await checkAllDoubleBookings();
+    }
+
+    event.source.postMessage({
+      type: 'BUSY_RESULT',
+      success: true,
+      busy: Object.entries(busyWarnings).map(([taskId, warning]) => ({ taskId, ...warning }))
+    }, '*');
+  } catch (error) {
+    console.error('[CalDAV Sync] Error checking for double bookings:', error);
+
+    event.source.postMessage({
+      type: 'BUSY_RESULT',
+      success: false,
+      error: error.message
+    }, '*');
   }
 }
 
 /**
- * Saves Config and Mapping together to the plugin storage
+ * Handles remove request for an account from settings iframe
+ * event.data.cleanup: also delete the account's events on its server
  */
-async function saveData() {
+async function handleRemoveAccount(event) {
   try {
-    const data = {
-      config: caldavConfig,
-      mapping: taskEventMapping
-    };
+    const result = await removeAccount(event.data.accountId, { cleanup: event.data.cleanup });
 
-    await PluginAPI.persistDataSynced(JSON.stringify(data));
+    event.source.postMessage({
+      type: 'ACCOUNT_REMOVED',
+      success: true,
+      ...result
+    }, '*');
   } catch (error) {
-    console.error('[CalDAV Sync] Error saving data:', error);
-    throw error;
+    console.error('[CalDAV Sync] Error removing account:', error);
+
+    event.source.postMessage({
+      type: 'ACCOUNT_REMOVED',
+      success: false,
+      error: error.message
+    }, '*');
   }
 }
 
-// ============================================================================
-// Event Handlers
-// ============================================================================
-
-
 /**
- * Called when a task is updated
- * Syncs the task to CalDAV or removes it if no longer scheduled
+ * Handles a calendar assigned by hand on the status page (no calendarId: back to the rules)
  */
-async function onTaskUpdate(taskIdOrObject) {
-  const taskId = typeof taskIdOrObject === 'object' ? taskIdOrObject.taskId : taskIdOrObject;
+async function handleAssignTaskCalendar(event) {
+  try {
+    await assignTaskCalendar(event.data.taskId, event.data.calendarId);
 
-  const tasks = await PluginAPI.getTasks();
-  const task = tasks.find(t => t.id === taskId);
+    event.source.postMessage({
+      type: 'TASK_CALENDAR_ASSIGNED',
+      success: true,
+      tasks: await getStatusReport()
+    }, '*');
+  } catch (error) {
+    console.error('[CalDAV Sync] Error assigning calendar:', error);
 
-  if (!task) {
-    console.warn('[CalDAV Sync] Task not found:', taskId);
-    return;
+    event.source.postMessage({
+      type: 'TASK_CALENDAR_ASSIGNED',
+      success: false,
+      error: error.message
+    }, '*');
   }
+}
 
-  if (shouldSyncTask(task)) {
-    await syncTaskToCalDAV(task);
-  } else if (shouldDeleteTask(task)) {
-    const eventUid = taskEventMapping[taskId] || `sp-task-${taskId}`;
-
-    try {
-      await deleteCalDAVEvent(eventUid);
+/**
+ * Handles reconcile request from settings iframe (dry run or apply)
+ */
+async function handleReconcile(event) {
+  try {
+    const result = await reconcileServer({ dryRun: event.data.dryRun });
 
-      if (taskEventMapping[taskId]) {
-        delete taskEventMapping[taskId];
-        await saveData();
-      }
+    event.source.postMessage({
+      type: 'RECONCILE_RESULT',
+      success: true,
+      ...result,
+      actions: result.actions.map(({ event: serverEvent, etag, ...action }) => action)
+    }, '*');
+  } catch (error) {
+    console.error('[CalDAV Sync] Error reconciling with server:', error);
 
-      PluginAPI.showSnack({
-        msg: `Event for "${task.title}" removed (no longer scheduled)`,
-        type: 'SUCCESS'
-      });
-    } catch (error) {
-      console.error('[CalDAV Sync] Error deleting:', error);
-    }
+    event.source.postMessage({
+      type: 'RECONCILE_RESULT',
+      success: false,
+      error: error.message
+    }, '*');
   }
 }
 
 /**
- * Called when a task is deleted
- * Removes the corresponding CalDAV event
+ * Handles clear request for the activity log from settings iframe
  */
-async function onTaskDelete(taskIdOrObject) {
-  const taskId = typeof taskIdOrObject === 'object' ? taskIdOrObject.taskId : taskIdOrObject;
-  const eventUid = taskEventMapping[taskId] || `sp-task-${taskId}`;
+async function handleClearActivityLog(event) {
+  activityLog = [];
+  await saveData();
 
-  try {
-    await deleteCalDAVEvent(eventUid);
+  event.source.postMessage({
+    type: 'ACTIVITY_LOG_CLEARED'
+  }, '*');
+}
 
-    if (taskEventMapping[taskId]) {
-      delete taskEventMapping[taskId];
-      await saveData();
-    }
+/**
+ * Renders the iCalendar data of a task with the (unsaved) template settings
+ * of the form. Without taskId, the first scheduled task (or a sample task) is used.
+ */
+async function renderIcsPreview(taskId, formConfig = {}) {
+  const tasks = await PluginAPI.getTasks();
+  const task = tasks.find(t => t.id === taskId) ||
+    tasks.find(t => !t.isDone && (t.plannedAt || t.dueWithTime || t.dueDay)) ||
+    tasks[0] ||
+    {
+      id: 'sample',
+      title: 'Write release notes',
+      notes: 'Collect the changes since the last release',
+      timeEstimate: 5400000,
+      timeSpent: 1800000,
+      dueDay: getZonedDay(Date.now()),
+      tagIds: []
+    };
 
-    PluginAPI.showSnack({
-      msg: 'Task removed from calendar',
-      type: 'SUCCESS'
-    });
-  } catch (error) {
-    console.error('[CalDAV Sync] Error deleting event:', error);
-    PluginAPI.showSnack({
-      msg: `Error removing from calendar: ${error.message}`,
-      type: 'ERROR'
-    });
+  await refreshTaskMeta();
+  const relations = await getTaskRelations(task, tasks);
+
+  // Rendering is synchronous, so no sync runs with the unsaved settings
+  const savedConfig = caldavConfig;
+  caldavConfig = { ...caldavConfig, ...formConfig };
+  try {
+    return {
+      taskId: task.id,
+      title: task.title,
+      ics: createEventFromTask(task, getCalendarForTask(task).componentType, relations)
+    };
+  } finally {
+    caldavConfig = savedConfig;
   }
 }
 
 /**
- * Called when a task is completed
- * Removes the event from the calendar (if deleteCompletedTasks is enabled)
+ * Handles ICS preview request from settings iframe
  */
-async function onTaskComplete(taskIdOrObject) {
-  const taskId = typeof taskIdOrObject === 'object' ? taskIdOrObject.taskId : taskIdOrObject;
+async function handleIcsPreview(event) {
+  try {
+    event.source.postMessage({
+      type: 'ICS_PREVIEW',
+      success: true,
+      ...await renderIcsPreview(event.data.taskId, event.data.config)
+    }, '*');
+  } catch (error) {
+    console.error('[CalDAV Sync] Error rendering ICS preview:', error);
 
-  // Only delete if setting is enabled
-  if (caldavConfig.deleteCompletedTasks) {
-    await onTaskDelete(taskId);
+    event.source.postMessage({
+      type: 'ICS_PREVIEW',
+      success: false,
+      error: error.message
+    }, '*');
   }
 }
 
-// ============================================================================
-// Settings UI Communication (postMessage)
-// ============================================================================
-
 /**
- * Handles config request from settings iframe
- * Sends current config back to iframe
+ * Handles .ics download request from settings iframe (filter from the form)
  */
-function handleConfigRequest(event) {
-  event.source.postMessage({
-    type: 'CONFIG_RESPONSE',
-    config: caldavConfig
-  }, '*');
+async function handleIcsExport(event) {
+  try {
+    const { ics, count } = await buildIcsExport(event.data.filter);
+
+    event.source.postMessage({
+      type: 'ICS_EXPORT',
+      success: true,
+      ics,
+      count,
+      filename: `super-productivity-${getZonedDay(Date.now())}.ics`
+    }, '*');
+  } catch (error) {
+    console.error('[CalDAV Sync] Error exporting .ics:', error);
+
+    event.source.postMessage({
+      type: 'ICS_EXPORT',
+      success: false,
+      error: error.message
+    }, '*');
+  }
 }
 
 /**
- * Handles config save request from settings iframe
- * Updates local config and persists data
+ * Handles "update feed now" request from settings iframe (saved feed settings)
  */
-async function handleConfigSave(event) {
+async function handleFeedExport(event) {
   try {
-    caldavConfig = event.data.config;
+    if (!isFeedEnabled()) throw new Error('Feed is disabled, has no location or its account is paused');
+    const count = await exportFeed({ force: true });
     await saveData();
 
     event.source.postMessage({
-      type: 'CONFIG_SAVED',
-      success: true
+      type: 'FEED_EXPORTED',
+      success: true,
+      count
     }, '*');
-
-    PluginAPI.showSnack({
-      msg: 'CalDAV settings saved',
-      type: 'SUCCESS'
-    });
   } catch (error) {
-    console.error('[CalDAV Sync] Error saving config:', error);
+    console.error('[CalDAV Sync] Error exporting the calendar feed:', error);
 
     event.source.postMessage({
-      type: 'CONFIG_SAVED',
+      type: 'FEED_EXPORTED',
       success: false,
       error: error.message
     }, '*');
   }
 }
 
+/**
+ * Handles queue status request from settings iframe
+ */
+function handleQueueStatusRequest(event) {
+  event.source.postMessage({
+    type: 'QUEUE_STATUS',
+    pending: Object.keys(operationQueue).length,
+    operations: Object.entries(operationQueue).map(([taskId, op]) => ({ taskId, ...op }))
+  }, '*');
+}
+
 // ============================================================================
 // Plugin Initialization
 // ============================================================================
@@ -417,9 +5836,28 @@ async function init() {
     taskEventMapping = {};
   }
 
-  PluginAPI.registerHook(PluginAPI.Hooks.TASK_UPDATE, onTaskUpdate);
-  PluginAPI.registerHook(PluginAPI.Hooks.TASK_DELETE, onTaskDelete);
-  PluginAPI.registerHook(PluginAPI.Hooks.TASK_COMPLETE, onTaskComplete);
+  // Migrate old mapping format { taskId: eventUid }
+  for (const taskId in taskEventMapping) {
+    if (typeof taskEventMapping[taskId] === 'string') {
+      taskEventMapping[taskId] = { uid: taskEventMapping[taskId] };
+    }
+  }
+
+  // Remove the credentials of older versions from the synced data (moved to this device by loadData)
+  if (credentialsMigrationPending) {
+    credentialsMigrationPending = false;
+    logActivity('info', 'config', 'Credentials moved from the synced data to this device');
+    await saveData();
+  }
+
+  await loadRepeatCfgs();
+  if (caldavConfig.syncRecurring && typeof PluginAPI.getAllTaskRepeatCfgs !== 'function') {
+    console.warn('[CalDAV Sync] Repeat configs not available in this Super Productivity version, syncing repeating tasks as single events');
+  }
+
+  PluginAPI.registerHook(PluginAPI.Hooks.TASK_UPDATE, payload => scheduleTaskHook('update', payload));
+  PluginAPI.registerHook(PluginAPI.Hooks.TASK_DELETE, payload => scheduleTaskHook('delete', payload));
+  PluginAPI.registerHook(PluginAPI.Hooks.TASK_COMPLETE, payload => scheduleTaskHook('complete', payload));
 
   PluginAPI.registerSidePanelButton({
     label: 'CalDAV Settings',
@@ -432,7 +5870,7 @@ async function init() {
   PluginAPI.registerHeaderButton({
     label: 'CalDAV Sync',
     icon: 'cloud_upload',
-    onClick: async () => {
+    onClick: () => {
       if (!caldavConfig.enabled) {
         PluginAPI.showSnack({
           msg: 'CalDAV Sync is disabled. Enable it in CalDAV Settings',
@@ -441,72 +5879,25 @@ async function init() {
         return;
       }
 
-      if (!caldavConfig.calendarUrl || !caldavConfig.username || !caldavConfig.password) {
+      if (areCredentialsMissing()) {
         PluginAPI.showSnack({
-          msg: 'CalDAV configuration incomplete! Open CalDAV Settings',
+          msg: 'CalDAV credentials missing on this device! Enter them in CalDAV Settings',
           type: 'ERROR'
         });
         return;
       }
 
-      try {
-        const tasks = await PluginAPI.getTasks();
-        const taskIds = new Set(tasks.map(t => t.id));
-        const scheduledTaskIds = new Set(tasks.filter(shouldSyncTask).map(t => t.id));
-
-        let cleanedUp = 0;
-        for (const taskId in taskEventMapping) {
-          if (taskIds.has(taskId) && !scheduledTaskIds.has(taskId)) {
-            try {
-              await deleteCalDAVEvent(taskEventMapping[taskId]);
-              delete taskEventMapping[taskId];
-              cleanedUp++;
-            } catch (error) {
-              console.error('[CalDAV Sync] Cleanup error:', error);
-            }
-          }
-        }
-
-        if (cleanedUp > 0) await saveData();
-
-        const tasksToSync = tasks.filter(shouldSyncTask);
-
-        if (tasksToSync.length === 0) {
-          PluginAPI.showSnack({
-            msg: 'No scheduled tasks to synchronize found',
-            type: 'SUCCESS'
-          });
-          return;
-        }
-
-        let syncedCount = 0;
-        let errorCount = 0;
-
-        for (const task of tasksToSync) {
-          try {
-            await syncTaskToCalDAV(task);
-            syncedCount++;
-
-            if (syncedCount < tasksToSync.length) {
-              await new Promise(resolve => setTimeout(resolve, 300));
-            }
-          } catch (error) {
-            console.error('[CalDAV Sync] Error synchronizing task:', task.id, error);
-            errorCount++;
-          }
-        }
-
-        PluginAPI.showSnack({
-          msg: `${syncedCount} tasks synchronized, ${errorCount} errors`,
-          type: errorCount === 0 ? 'SUCCESS' : 'ERROR'
-        });
-      } catch (error) {
-        console.error('[CalDAV Sync] Error:', error);
+      if (!caldavConfig.calendarUrl) {
         PluginAPI.showSnack({
-          msg: `Error synchronizing: ${error.message}`,
+          msg: 'CalDAV configuration incomplete! Open CalDAV Settings',
           type: 'ERROR'
         });
+        return;
       }
+
+      // Nothing is changed before the preview was confirmed
+      pendingView = 'preview';
+      PluginAPI.showIndexHtmlAsView();
     }
   });
 
@@ -520,9 +5911,104 @@ async function init() {
     if (event.data.type === 'SAVE_CONFIG') {
       await handleConfigSave(event);
     }
+
+    if (event.data.type === 'DISCOVER_CALENDARS') {
+      await handleDiscoverCalendars(event);
+    }
+
+    if (event.data.type === 'CREATE_CALENDAR') {
+      await handleCreateCalendar(event);
+    }
+
+    if (event.data.type === 'TEST_CONNECTION') {
+      await handleTestConnection(event);
+    }
+
+    if (event.data.type === 'REQUEST_VIEW') {
+      handleViewRequest(event);
+    }
+
+    if (event.data.type === 'REQUEST_SYNC_PLAN') {
+      await handleSyncPlanRequest(event);
+    }
+
+    if (event.data.type === 'APPLY_SYNC_PLAN') {
+      await handleApplySyncPlan(event);
+    }
+
+    if (event.data.type === 'REQUEST_QUEUE_STATUS') {
+      handleQueueStatusRequest(event);
+    }
+
+    if (event.data.type === 'REQUEST_SYNC_STATUS') {
+      await handleStatusRequest(event);
+    }
+
+    if (event.data.type === 'CLEAR_ACTIVITY_LOG') {
+      await handleClearActivityLog(event);
+    }
+
+    if (event.data.type === 'RECONCILE') {
+      await handleReconcile(event);
+    }
+
+    if (event.data.type === 'PREVIEW_ICS') {
+      await handleIcsPreview(event);
+    }
+
+    if (event.data.type === 'CHECK_DOUBLE_BOOKINGS' || event.data.type === 'MOVE_TO_FREE_SLOT') {
+      await handleBusyRequest(event);
+    }
+
+    if (event.data.type === 'REMOVE_ACCOUNT') {
+      await handleRemoveAccount(event);
+    }
+
+    if (event.data.type === 'ASSIGN_TASK_CALENDAR') {
+      await handleAssignTaskCalendar(event);
+    }
+
+    if (event.data.type === 'EXPORT_ICS') {
+      await handleIcsExport(event);
+    }
+
+    if (event.data.type === 'EXPORT_FEED') {
+      await handleFeedExport(event);
+    }
+
+    if (event.data.type === 'RETRY_QUEUE') {
+      await drainQueue({ force: true });
+      handleQueueStatusRequest(event);
+    }
+  });
+
+  // Connectivity is back → retry everything that's pending
+  window.addEventListener('online', () => drainQueue({ force: true }));
+
+  startPullTimer();
+  startWorklogTimer();
+  startImportTimer();
+  startFeedTimer();
+  scheduleFeedExport();
+  drainQueue({ force: true });
+  importExternalCalendars().catch(error => {
+    console.error('[CalDAV Sync] Error importing calendars:', error);
   });
 
-  if (caldavConfig.enabled) {
+  if (caldavConfig.enabled && areCredentialsMissing()) {
+    console.warn('[CalDAV Sync] Credentials missing on this device, sync is paused');
+    PluginAPI.showSnack({
+      msg: 'CalDAV credentials missing on this device. Enter them in CalDAV Settings to sync',
+      type: 'ERROR'
+    });
+  } else if (caldavConfig.enabled && getAccountsMissingCredentials().length > 0) {
+    const names = getAccountsMissingCredentials().join(', ');
+    console.warn('[CalDAV Sync] Credentials missing on this device, tasks paused for:', names);
+    PluginAPI.showSnack({
+      msg: `CalDAV credentials missing on this device for ${names}. Their tasks are paused until you enter them`,
+      type: 'ERROR'
+    });
+  } else if (caldavConfig.enabled) {
     PluginAPI.showSnack({
       msg: 'CalDAV Sync enabled',
       type: 'SUCCESS'
@@ -546,30 +6032,32 @@ window.CalDAVSync = {
     console.log('=== CalDAV Config (Current) ===');
     console.log({
       enabled: caldavConfig.enabled,
+      authMethod: caldavConfig.authMethod,
       username: caldavConfig.username,
       calendarUrl: caldavConfig.calendarUrl,
-      hasPassword: !!caldavConfig.password
+      hasPassword: !!caldavConfig.password,
+      hasToken: !!(caldavConfig.accessToken || caldavConfig.refreshToken),
+      credentialsMissing: areCredentialsMissing()
     });
 
     console.log('\n=== CalDAV Mapping (Current) ===');
     console.table(taskEventMapping);
     console.log('Number of entries:', Object.keys(taskEventMapping).length);
 
-    // Show saved version
+    // Show saved version (secrets masked, in case an older version saved them)
     const dataString = await PluginAPI.loadSyncedData();
-    console.log('\n=== Saved Data (Raw) ===');
-    console.log(dataString);
+    const saved = dataString ? JSON.parse(dataString) : null;
+    if (saved && saved.config) saved.config = redactSecrets(saved.config);
 
-    if (dataString) {
-      const data = JSON.parse(dataString);
-      console.log('\n=== Saved Data (Parsed) ===');
-      console.log('Config:', data.config);
-      console.log('Mapping:', data.mapping);
+    if (saved) {
+      console.log('\n=== Saved Data ===');
+      console.log('Config:', saved.config);
+      console.log('Mapping:', saved.mapping);
     }
 
     return {
-      current: { config: caldavConfig, mapping: taskEventMapping },
-      saved: dataString ? JSON.parse(dataString) : null
+      current: { config: redactSecrets(caldavConfig), mapping: taskEventMapping },
+      saved
     };
   },
 
@@ -577,13 +6065,180 @@ window.CalDAVSync = {
     console.log('=== CalDAV Config ===');
     console.log({
       enabled: caldavConfig.enabled,
+      authMethod: caldavConfig.authMethod,
       username: caldavConfig.username,
       calendarUrl: caldavConfig.calendarUrl,
-      hasPassword: !!caldavConfig.password
+      hasPassword: !!caldavConfig.password,
+      hasToken: !!(caldavConfig.accessToken || caldavConfig.refreshToken),
+      twoWaySync: caldavConfig.twoWaySync,
+      conflictResolution: caldavConfig.conflictResolution
     });
+    console.log('Accounts:');
+    console.table(getAccounts().map(account => ({
+      id: account.id,
+      name: account.name,
+      serverUrl: account.serverUrl,
+      enabled: account.enabled !== false,
+      active: isAccountActive(account.id)
+    })));
+    console.log('Calendars:');
+    console.table(getCalendars());
+    console.log('Routing rules:');
+    console.table(caldavConfig.routingRules || []);
     return caldavConfig;
   },
 
+  showAccounts: () => {
+    const accounts = getAccounts().map(account => ({
+      id: account.id,
+      name: account.name,
+      serverUrl: account.serverUrl,
+      authMethod: getAccountAuth(account.id).authMethod || 'basic',
+      enabled: account.enabled !== false,
+      hasCredentials: hasCredentials(getAccountAuth(account.id)),
+      calendars: getCalendars().filter(c => c.accountId === account.id).map(c => c.name || c.url).join(', '),
+      events: Object.keys(taskEventMapping).filter(taskId => getAccountIdForUrl(getEventCalendarUrl(taskId)) === account.id).length
+    }));
+    console.log('=== CalDAV Accounts ===');
+    console.table(accounts);
+    console.log('Calendars assigned by hand:');
+    console.table(taskAssignments);
+    return accounts;
+  },
+
+  showQueue: () => {
+    console.log('=== CalDAV Offline Queue ===');
+    console.table(operationQueue);
+    return operationQueue;
+  },
+
+  retryQueue: async () => {
+    await drainQueue({ force: true });
+    console.log('[CalDAV Sync] Pending operations:', Object.keys(operationQueue).length);
+  },
+
+  clearQueue: async () => {
+    if (confirm('Really discard all pending CalDAV operations?')) {
+      operationQueue = {};
+      scheduleQueueDrain();
+      await saveData();
+      console.log('Queue cleared');
+    }
+  },
+
+  showSeries: () => {
+    console.log('=== CalDAV Repeating Series ===');
+    console.table(Object.keys(seriesEventMapping).map(cfgId => ({
+      cfgId,
+      uid: seriesEventMapping[cfgId].uid,
+      calendarUrl: seriesEventMapping[cfgId].calendarUrl,
+      instances: Object.keys(seriesEventMapping[cfgId].instances).length,
+      exdates: seriesEventMapping[cfgId].exdates.join(', ')
+    })));
+    return seriesEventMapping;
+  },
+
+  syncSeries: async () => {
+    const count = await syncAllRepeatSeries();
+    console.log(`[CalDAV Sync] ${count} repeating series synchronized`);
+  },
+
+  showWorklog: () => {
+    console.log('=== CalDAV Worked Events ===');
+    console.table(worklogMapping);
+    return worklogMapping;
+  },
+
+  syncWorklog: async () => {
+    const count = await syncWorklog();
+    console.log(`[CalDAV Sync] ${count} worked event(s) updated`);
+  },
+
+  showImported: () => {
+    console.log('=== CalDAV Imported Events ===');
+    console.table(importedEventMapping);
+    return importedEventMapping;
+  },
+
+  importCalendars: async () => {
+    const result = await importExternalCalendars();
+    console.log('[CalDAV Sync] Calendar import:', result);
+    return result;
+  },
+
+  showStatus: async () => {
+    const report = await getStatusReport();
+    console.log('=== CalDAV Sync Status ===');
+    console.table(report);
+    return report;
+  },
+
+  showLog: (level) => {
+    const entries = activityLog.filter(entry => !level || entry.level === level);
+    console.log('=== CalDAV Activity Log ===');
+    console.table(entries.map(entry => ({ ...entry, time: new Date(entry.time).toLocaleString() })));
+    return entries;
+  },
+
+  previewIcs: async (taskId) => {
+    const preview = await renderIcsPreview(taskId);
+    console.log(`=== iCalendar data of "${preview.title}" ===`);
+    console.log(preview.ics);
+    return preview.ics;
+  },
+
+  checkBusy: async () => {
+    const count = await checkAllDoubleBookings();
+    console.table(Object.entries(busyWarnings).map(([taskId, warning]) => ({
+      taskId,
+      title: warning.title,
+      start: new Date(warning.start).toLocaleString(),
+      busy: warning.busy.map(period => `${new Date(period.start).toLocaleTimeString()}–${new Date(period.end).toLocaleTimeString()}`).join(', '),
+      suggestion: warning.suggestion ? new Date(warning.suggestion).toLocaleString() : '—'
+    })));
+    return count;
+  },
+
+  exportIcs: async (filter = {}) => {
+    const { ics, count } = await buildIcsExport(filter);
+    console.log(`=== .ics export (${count} events) ===`);
+    console.log(ics);
+    return ics;
+  },
+
+  exportFeed: async () => {
+    const count = await exportFeed({ force: true });
+    console.log(`Feed written to ${caldavConfig.feedUrl} (${count} events)`);
+    return count;
+  },
+
+  previewSync: async () => {
+    const plan = await buildSyncPlan();
+    console.table(plan.items.map(item => ({
+      id: item.id,
+      action: item.action,
+      direction: item.direction,
+      title: item.title,
+      calendar: item.calendar,
+      changes: item.diff.map(d => `${d.label}: ${d.server} → ${d.local}`).join('; ')
+    })));
+    if (plan.failedUrls.length > 0) console.warn('[CalDAV Sync] Calendars not checked:', plan.failedUrls);
+    return plan;
+  },
+
+  applySync: async (itemIds) => {
+    const ids = itemIds || (lastSyncPlan ? lastSyncPlan.items.map(item => item.id) : []);
+    const result = await applySyncPlan(ids, { extras: true });
+    console.log('[CalDAV Sync] Sync applied:', result);
+    return result;
+  },
+
+  pullChanges: async () => {
+    const updatedCount = await pullCalendarChanges();
+    console.log(`[CalDAV Sync] ${updatedCount} task(s) updated from calendar`);
+    return updatedCount;
+  },
+
   syncTask: async (taskId) => {
     const tasks = await PluginAPI.getTasks();
     const task = tasks.find(t => t.id === taskId);
@@ -596,16 +6251,14 @@ window.CalDAVSync = {
   },
 
   deleteEvent: async (taskId) => {
-    const eventUid = taskEventMapping[taskId];
+    const eventUid = taskEventMapping[taskId] && taskEventMapping[taskId].uid;
     if (!eventUid) {
       console.error('No event UID for task:', taskId);
       return;
     }
     console.log('Deleting event:', eventUid);
-    await deleteCalDAVEvent(eventUid);
-    delete taskEventMapping[taskId];
-    await saveData();
-    console.log('Event deleted and mapping updated');
+    const deleted = await deleteTaskEvent(taskId);
+    console.log(deleted ? 'Event deleted and mapping updated' : 'Event kept on server');
   },
 
   resetMapping: async () => {
@@ -617,20 +6270,90 @@ window.CalDAVSync = {
   },
 
   resetAll: async () => {
-    if (confirm('Really reset ALL data (Config + Mapping)?')) {
+    if (confirm('Really reset ALL data (Config + Mapping + Queue)?')) {
       caldavConfig = {
+        accountName: '',
         username: '',
         password: '',
+        serverUrl: '',
         calendarUrl: '',
         enabled: false,
         deleteCompletedTasks: false,
+        completedPrefix: '✓ ',
+        completedEndAtTimeSpent: false,
+        componentType: 'VEVENT',
+        calendars: [],
+        accounts: [],
+        routingRules: [],
+        twoWaySync: false,
+        conflictResolution: 'task',
+        pullInterval: 5,
+        syncRecurring: false,
+        subtaskMode: 'separate',
+        summaryTemplate: '{title}',
+        descriptionTemplate: '{notes}',
+        tagCategories: false,
+        projectColors: false,
+        issueUrlTemplates: {},
+        alarmMode: 'keep',
+        alarmsTimed: [],
+        alarmsAllDay: [],
+        worklogEnabled: false,
+        worklogCalendarUrl: '',
+        worklogAccountId: 'default',
+        worklogDayStart: '09:00',
+        worklogDays: 7,
+        timezone: '',
+        authMethod: 'basic',
+        accessToken: '',
+        refreshToken: '',
+        tokenUrl: '',
+        clientId: '',
+        clientSecret: '',
+        tokenExpiresAt: null,
+        importCalendars: [],
+        importDaysBack: 1,
+        importDaysAhead: 14,
+        importCancelAction: 'mark',
+        busyCheckEnabled: false,
+        busyCalendars: [],
+        busyDayStart: '08:00',
+        busyDayEnd: '18:00',
+        exportProjectIds: [],
+        exportTagIds: [],
+        feedEnabled: false,
+        feedUrl: '',
+        feedAccountId: 'default',
+        feedDaysBack: 30,
+        feedDaysAhead: 365,
+        showSyncSnacks: true,
+        syncConcurrency: 4
       };
       taskEventMapping = {};
+      taskAssignments = {};
+      importedEventMapping = {};
+      importedTaskIds = new Set();
+      seriesEventMapping = {};
+      worklogMapping = {};
+      operationQueue = {};
+      syncStatus = {};
+      activityLog = [];
+      scheduleQueueDrain();
+      startWorklogTimer();
+      startImportTimer();
       await saveData();
       console.log('All data reset');
     }
   },
 
+  reconcile: async (options = {}) => {
+    const result = await reconcileServer(options);
+    console.log(`=== CalDAV Reconciliation${options.dryRun ? ' (dry run)' : ''} ===`);
+    console.table(result.actions.map(({ event, etag, ...action }) => action));
+    if (result.failedUrls.length > 0) console.warn('[CalDAV Sync] Calendars not reachable:', result.failedUrls);
+    return result;
+  },
+
   cleanupOrphanedMappings: async () => {
     console.log('[CalDAV Sync] Checking for orphaned mappings...');
     const tasks = await PluginAPI.getTasks();
@@ -684,7 +6407,13 @@ window.CalDAVSync = {
     console.log('dueWithTime:', task.dueWithTime);
     console.log('dueDay:', task.dueDay);
     console.log('issueProviderId:', task.issueProviderId);
+    console.log('projectId:', task.projectId);
+    console.log('tagIds:', task.tagIds);
     console.log('shouldSyncTask:', shouldSyncTask(task));
+    console.log('Target calendar:', getCalendarLabel(getCalendarForTask(task)), getCalendarForTask(task).url,
+      taskAssignments[taskId] ? '(assigned by hand)' : '');
+    console.log('Paused (account disabled):', isTaskPaused(task));
+    console.log('Event calendar:', taskEventMapping[taskId] ? getEventCalendarUrl(taskId) : '(not synced)');
     console.log('\n=== Full Task Object ===');
     console.log(task);
 
@@ -696,9 +6425,27 @@ console.log('[CalDAV Sync] Debug functions available at window.CalDAVSync');
 console.log('Examples:');
 console.log('  window.CalDAVSync.showData()                     - Show all data (Config + Mapping)');
 console.log('  window.CalDAVSync.showConfig()                   - Show config');
+console.log('  window.CalDAVSync.showAccounts()                 - Show accounts, their calendars and credentials state');
 console.log('  window.CalDAVSync.getTaskDetails(taskId)         - Show details for a task');
+console.log('  window.CalDAVSync.pullChanges()                  - Pull calendar edits into tasks (two-way sync)');
+console.log('  window.CalDAVSync.showQueue()                    - Show pending (queued) operations');
+console.log('  window.CalDAVSync.retryQueue()                   - Retry pending operations now');
 console.log('  window.CalDAVSync.cleanupOrphanedMappings()      - Remove orphaned mappings');
+console.log('  window.CalDAVSync.reconcile({ dryRun })          - Reconcile the server events with the tasks');
 console.log('  window.CalDAVSync.forceRemoveMapping(taskId)     - Remove mapping for specific task');
 console.log('  window.CalDAVSync.resetMapping()                 - Reset mapping');
+console.log('  window.CalDAVSync.showSeries()                   - Show repeating series');
+console.log('  window.CalDAVSync.syncSeries()                   - Sync all repeating series');
+console.log('  window.CalDAVSync.showWorklog()                  - Show worked (time-sheet) events');
+console.log('  window.CalDAVSync.syncWorklog()                  - Export tracked time now');
+console.log('  window.CalDAVSync.showImported()                 - Show imported external events');
+console.log('  window.CalDAVSync.importCalendars()              - Import external calendars now');
+console.log('  window.CalDAVSync.checkBusy()                    - Check upcoming tasks for double bookings');
+console.log('  window.CalDAVSync.exportIcs(filter)              - Show the .ics export of all scheduled tasks');
+console.log('  window.CalDAVSync.exportFeed()                   - Write the calendar feed now');
+console.log('  window.CalDAVSync.previewSync()                  - Show what a full sync would change');
+console.log('  window.CalDAVSync.applySync([itemIds])           - Apply the (selected items of the) last preview');
+console.log('  window.CalDAVSync.showStatus()                   - Show the sync state of all tasks');
+console.log('  window.CalDAVSync.showLog([level])               - Show the activity log (optionally only \'error\' etc.)');
 console.log('  window.CalDAVSync.resetAll()                     - Reset all data');
 
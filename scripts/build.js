@@ -0,0 +1,47 @@
+/**
+ * Copies ical.js into plugin.js (between the "ical.js" markers)
+ * Super Productivity loads a plugin as a single plugin.js, so modules that
+ * are kept in their own file for testing are embedded here.
+ * Usage: node scripts/build.js [--check] - with --check, only reports
+ * (exit code 1) whether plugin.js is out of date.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const START_MARKER = '// >>> ical.js\n';
+const END_MARKER = '// <<< ical.js';
+
+/**
+ * Returns plugin.js with the current ical.js embedded
+ */
+function buildPlugin() {
+  const plugin = fs.readFileSync(path.join(ROOT, 'plugin.js'), 'utf8');
+  const ical = fs.readFileSync(path.join(ROOT, 'ical.js'), 'utf8');
+
+  const start = plugin.indexOf(START_MARKER);
+  const end = plugin.indexOf(END_MARKER);
+  if (start === -1 || end < start) {
+    throw new Error('plugin.js has no "ical.js" markers');
+  }
+
+  return plugin.slice(0, start + START_MARKER.length) + ical + plugin.slice(end);
+}
+
+module.exports = { buildPlugin };
+
+if (require.main === module) {
+  const current = fs.readFileSync(path.join(ROOT, 'plugin.js'), 'utf8');
+  const built = buildPlugin();
+
+  if (process.argv.includes('--check')) {
+    if (built !== current) {
+      console.error('plugin.js is out of date, run `npm run build`');
+      process.exit(1);
+    }
+  } else if (built !== current) {
+    fs.writeFileSync(path.join(ROOT, 'plugin.js'), built);
+    console.log('plugin.js updated');
+  }
+}
@@ -0,0 +1,15 @@
+/**
+ * Checks that plugin.js embeds the current ical.js (see scripts/build.js)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { buildPlugin } = require('../scripts/build.js');
+
+test('plugin.js contains the current ical.js (run `npm run build` after editing it)', () => {
+  const plugin = fs.readFileSync(path.join(__dirname, '..', 'plugin.js'), 'utf8');
+  assert.ok(buildPlugin() === plugin, 'plugin.js is out of date');
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests of the iCalendar serializer/parser (ical.js), run with `npm test`
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  icalProp,
+  icalText,
+  icalComponent,
+  escapeICalText,
+  unescapeICalText,
+  formatICalParamValue,
+  foldICalLine,
+  serializeICal,
+  parseICalLine,
+  parseICal,
+  getICalProperty
+} = require('../ical.js');
+
+const readFixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+/**
+ * Joins folded lines again (RFC 5545 3.1)
+ */
+const unfold = text => text.replace(/\r\n[ \t]/g, '');
+
+test('folding: lines are split at 75 octets, never inside a multi-byte character', () => {
+  const line = 'DESCRIPTION:' + 'Grüße 🎉 ä'.repeat(20);
+  const folded = foldICalLine(line);
+  const physical = folded.split('\r\n');
+
+  assert.ok(physical.length > 1);
+  for (const part of physical) {
+    assert.ok(Buffer.byteLength(part, 'utf8') <= 75, `${Buffer.byteLength(part, 'utf8')} octets: ${part}`);
+    assert.ok(!part.includes('�'));
+  }
+  physical.slice(1).forEach(part => assert.equal(part[0], ' '));
+  assert.equal(unfold(folded), line);
+});
+
+test('folding: a 4-octet character that does not fit moves to the next line', () => {
+  const line = 'X'.repeat(73) + '🎉';
+  assert.equal(foldICalLine(line), 'X'.repeat(73) + '\r\n 🎉');
+  assert.equal(foldICalLine('X'.repeat(75)), 'X'.repeat(75));
+  assert.equal(foldICalLine('X'.repeat(76)), 'X'.repeat(75) + '\r\n X');
+});
+
+test('escaping: TEXT values escape line breaks and separators and drop control characters', () => {
+  assert.equal(escapeICalText('a\\b;c,d'), 'a\\\\b\\;c\\,d');
+  assert.equal(escapeICalText('one\r\ntwo\rthree\nfour'), 'one\\ntwo\\nthree\\nfour');
+  assert.equal(escapeICalText('bell\x07 tab\t nul\x00 del\x7f'), 'bell tab\t nul del');
+  assert.equal(escapeICalText(''), '');
+  assert.equal(escapeICalText(null), '');
+});
+
+test('escaping: unescape reverts escape (line breaks normalized to \\n)', () => {
+  const text = 'Plan; review, ship\\deploy\r\nnext line\nlast';
+  assert.equal(unescapeICalText(escapeICalText(text)), 'Plan; review, ship\\deploy\nnext line\nlast');
+  assert.equal(unescapeICalText('upper\\Ncase'), 'upper\ncase');
+});
+
+test('serializing: raw line breaks in values never end the content line', () => {
+  const ics = serializeICal(icalComponent('VEVENT', [
+    icalProp('X-RAW', 'first\r\nBEGIN:VALARM'),
+    icalText('SUMMARY', 'Title\r\nwith break')
+  ]));
+
+  assert.equal(ics, 'BEGIN:VEVENT\r\nX-RAW:firstBEGIN:VALARM\r\nSUMMARY:Title\\nwith break\r\nEND:VEVENT\r\n');
+  assert.equal(parseICal(ics)[0].components.length, 0);
+});
+
+test('parameters: values with ; : , are quoted, RFC 6868 caret encoding', () => {
+  assert.equal(formatICalParamValue('plain'), 'plain');
+  assert.equal(formatICalParamValue('Doe, Jane'), '"Doe, Jane"');
+  assert.equal(formatICalParamValue('mailto:a@example.com'), '"mailto:a@example.com"');
+  assert.equal(formatICalParamValue('George "Bo" ^ Smith\nNext'), 'George ^\'Bo^\' ^^ Smith^nNext');
+  assert.equal(formatICalParamValue('ctrl\x01char'), 'ctrlchar');
+
+  const ics = serializeICal(icalComponent('VEVENT', [
+    icalProp('ATTENDEE', 'mailto:g@example.com', { CN: 'Doe; "J"', MEMBER: ['a:1', 'b'], EMPTY: '' })
+  ]));
+  assert.match(ics, /ATTENDEE;CN="Doe; \^'J\^'";MEMBER="a:1",b:mailto:g@example\.com/);
+});
+
+test('parameters: parsing unquotes, decodes RFC 6868 and splits multi-values', () => {
+  assert.deepEqual(
+    parseICalLine('ATTENDEE;cn="Doe, Jane";X-NOTE=one^ntwo ^^ ^\'q^\';MEMBER="a:1",b:mailto:x@example.com'),
+    {
+      name: 'ATTENDEE',
+      params: { CN: 'Doe, Jane', 'X-NOTE': 'one\ntwo ^ "q"', MEMBER: ['a:1', 'b'] },
+      value: 'mailto:x@example.com'
+    }
+  );
+  assert.deepEqual(parseICalLine('dtstart;value=DATE:20261020'), {
+    name: 'DTSTART', params: { VALUE: 'DATE' }, value: '20261020'
+  });
+  assert.equal(parseICalLine('URL:https://example.com/a?b=c;d').value, 'https://example.com/a?b=c;d');
+});
+
+test('nested components: fixture parses into VTIMEZONE and VEVENT with VALARM', () => {
+  const [calendar] = parseICal(readFixture('nested.ics'));
+
+  assert.equal(calendar.name, 'VCALENDAR');
+  assert.deepEqual(calendar.components.map(c => c.name), ['VTIMEZONE', 'VEVENT']);
+
+  const [timezone, event] = calendar.components;
+  assert.deepEqual(timezone.components.map(c => c.name), ['DAYLIGHT', 'STANDARD']);
+  assert.equal(getICalProperty(timezone.components[1], 'TZNAME').value, 'CET');
+
+  assert.equal(event.components.length, 1);
+  assert.equal(event.components[0].name, 'VALARM');
+  assert.deepEqual(getICalProperty(event.components[0], 'TRIGGER').params, { RELATED: 'START' });
+
+  assert.equal(unescapeICalText(getICalProperty(event, 'SUMMARY').value), 'Review, plan; ship');
+  assert.deepEqual(getICalProperty(event, 'ORGANIZER').params, { CN: 'Doe, Jane: Lead', 'SENT-BY': 'mailto:a@example.com' });
+  assert.equal(getICalProperty(event, 'ORGANIZER').value, 'mailto:jane@example.com');
+  assert.deepEqual(getICalProperty(event, 'ATTENDEE').params, {
+    CN: 'George "Bo" Smith', 'X-NOTE': 'Line one\nLine two ^ caret', ROLE: 'REQ-PARTICIPANT'
+  });
+  assert.deepEqual(getICalProperty(event, 'CATEGORIES').params, { 'X-TAGS': ['work', 'urgent'] });
+  assert.equal(
+    unescapeICalText(getICalProperty(event, 'DESCRIPTION').value),
+    'Grüße aus Köln – Überprüfung der Änderungen 🗓️ für das Team, danach Übergabe; siehe Notizen\n' +
+      'Zweite Zeile mit Emoji 🎉🎉🎉 und Umlauten äöü'
+  );
+  assert.equal(getICalProperty(event, 'LOCATION'), null);
+});
+
+test('round trip: serializing the parsed fixture reproduces it byte for byte', () => {
+  const fixture = readFixture('nested.ics');
+  assert.equal(serializeICal(parseICal(fixture)[0]), fixture);
+});
+
+test('round trip: built components survive serialize → parse → serialize', () => {
+  const text = 'Notes with ümlauts, commas; semicolons\\backslashes\nand 🎉 '.repeat(5);
+  const calendar = icalComponent('VCALENDAR', [icalProp('VERSION', '2.0')], [
+    icalComponent('VTODO', [
+      icalProp('UID', 'sp-task-1'),
+      icalText('SUMMARY', 'Übergabe: "Q4", Teil 1; final'),
+      icalText('DESCRIPTION', text),
+      icalProp('ATTENDEE', 'mailto:a@example.com', { CN: 'Ä, "B" ^ C', ROLE: ['CHAIR', 'X:Y'] }),
+      icalProp('EMPTY', ''),
+      icalProp('MISSING', null)
+    ], [
+      icalComponent('VALARM', [icalProp('ACTION', 'DISPLAY'), icalProp('TRIGGER', '-PT5M')])
+    ])
+  ]);
+
+  const ics = serializeICal(calendar);
+  const parsed = parseICal(ics)[0];
+
+  assert.equal(serializeICal(parsed), ics);
+  const todo = parsed.components[0];
+  assert.equal(unescapeICalText(getICalProperty(todo, 'DESCRIPTION').value), text);
+  assert.deepEqual(getICalProperty(todo, 'ATTENDEE').params, { CN: 'Ä, "B" ^ C', ROLE: ['CHAIR', 'X:Y'] });
+  assert.equal(getICalProperty(todo, 'EMPTY'), null);
+  assert.equal(todo.components[0].name, 'VALARM');
+  ics.split('\r\n').forEach(line => assert.ok(Buffer.byteLength(line, 'utf8') <= 75));
+});
+
+test('tolerant parsing: malformed lines are skipped, END lines repaired', () => {
+  const components = parseICal(readFixture('malformed.ics'));
+
+  // The stray VTODO after END:VCALENDAR is kept at the top level
+  assert.deepEqual(components.map(c => c.name), ['VCALENDAR', 'VTODO']);
+  assert.equal(getICalProperty(components[1], 'UID').value, 'after-end');
+
+  const calendar = components[0];
+  assert.deepEqual(calendar.properties.map(p => p.name), ['VERSION']);
+  assert.deepEqual(calendar.components.map(c => c.name), ['VEVENT', 'VEVENT']);
+
+  // Missing END:VALARM: END:VEVENT closes both
+  const [first, second] = calendar.components;
+  assert.deepEqual(first.properties.map(p => p.name), ['UID', 'DESCRIPTION', 'DTSTART']);
+  assert.equal(getICalProperty(first, 'DESCRIPTION').value, 'Folded with atab continuation');
+  assert.equal(first.components[0].name, 'VALARM');
+  assert.deepEqual(first.components[0].properties.map(p => p.name), ['ACTION']);
+
+  // Mixed line endings, lower-case names, an END without matching BEGIN
+  assert.equal(getICalProperty(second, 'UID').value, 'broken-2');
+  assert.equal(getICalProperty(second, 'SUMMARY').value, 'lower-case name');
+});
+
+test('tolerant parsing: garbage and empty input give no components', () => {
+  assert.deepEqual(parseICal(''), []);
+  assert.deepEqual(parseICal('not an icalendar file'), []);
+  assert.deepEqual(parseICal(null), []);
+  assert.equal(parseICalLine('NO-COLON'), null);
+  assert.equal(parseICalLine('X;P="open:value'), null);
+  assert.equal(parseICalLine('X;NOEQUALS:value'), null);
+});
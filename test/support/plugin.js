@@ -0,0 +1,94 @@
+/**
+ * Loads plugin.js into a sandbox with a stubbed PluginAPI and fetch, for tests
+ * Top-level functions of the plugin are properties of `context`; `run` evaluates
+ * code inside the sandbox (e.g. to read or set caldavConfig).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const source = fs.readFileSync(path.join(__dirname, '..', '..', 'plugin.js'), 'utf8');
+
+// Timers of the plugin (pull, queue, feed) must not keep the test process alive
+const unref = timer => {
+  if (timer && typeof timer.unref === 'function') timer.unref();
+  return timer;
+};
+
+/**
+ * Creates a sandbox; resolves once the plugin's init() has registered its hooks
+ * options.tasks: the tasks PluginAPI.getTasks() returns (updated by updateTask)
+ * options.savedData: the data PluginAPI.loadSyncedData() returns (config, mappings)
+ */
+async function loadPlugin(options = {}) {
+  const tasks = options.tasks || [];
+  const requests = [];
+  const storage = {};
+  let initialized;
+  const ready = new Promise(resolve => { initialized = resolve; });
+
+  const context = {
+    console: { log() {}, warn() {}, error() {}, table() {} },
+    window: { addEventListener() {} },
+    localStorage: {
+      getItem: key => (key in storage ? storage[key] : null),
+      setItem: (key, value) => { storage[key] = String(value); },
+      removeItem: key => { delete storage[key]; }
+    },
+    setTimeout: (...args) => unref(setTimeout(...args)),
+    clearTimeout,
+    setInterval: (...args) => unref(setInterval(...args)),
+    clearInterval,
+    Intl,
+    URL,
+    URLSearchParams,
+    btoa: text => Buffer.from(text, 'binary').toString('base64'),
+    fetch: async (url, init = {}) => {
+      requests.push({ method: init.method || 'GET', url, body: init.body });
+      return {
+        ok: true,
+        status: 201,
+        statusText: 'Created',
+        url,
+        text: async () => '',
+        headers: { get: name => (name === 'ETag' ? `"etag-${requests.length}"` : null) }
+      };
+    },
+    PluginAPI: {
+      Hooks: { TASK_UPDATE: 'TASK_UPDATE', TASK_DELETE: 'TASK_DELETE', TASK_COMPLETE: 'TASK_COMPLETE' },
+      registerHook() {},
+      registerSidePanelButton() {},
+      registerHeaderButton: () => initialized(),
+      showSnack() {},
+      loadSyncedData: async () => (options.savedData ? JSON.stringify(options.savedData) : null),
+      persistDataSynced: async () => {},
+      getTasks: async () => tasks,
+      getArchivedTasks: async () => [],
+      getAllProjects: async () => [],
+      getAllTags: async () => options.tags || [],
+      updateTask: async (taskId, changes) => {
+        Object.assign(tasks.find(task => task.id === taskId), changes);
+      }
+    }
+  };
+
+  vm.createContext(context);
+  vm.runInContext(source, context, { filename: 'plugin.js' });
+  await ready;
+
+  const run = code => vm.runInContext(code, context);
+
+  return {
+    context,
+    requests,
+    tasks,
+    run,
+    configure(config) {
+      context.__config = config;
+      run('caldavConfig = { ...caldavConfig, ...__config }');
+    }
+  };
+}
+
+module.exports = { loadPlugin };
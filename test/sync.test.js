@@ -0,0 +1,132 @@
+/**
+ * Tests of the sync decisions of plugin.js (when events are written)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPlugin } = require('./support/plugin.js');
+
+const CALENDAR_URL = 'https://dav.example.com/calendars/me/tasks/';
+
+/**
+ * The event as a server stores it after a calendar app edited the title:
+ * re-serialized with its own PRODID, DTSTAMP, property order and folding
+ */
+const serverEvent = title => [
+  'BEGIN:VCALENDAR',
+  'PRODID:-//Example Server//EN',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'DTSTAMP:20261019T120000Z',
+  'SUMMARY:' + title,
+  'UID:sp-task-t1',
+  'DTEND:20261020T100000Z',
+  'DTSTART:20261020T090000Z',
+  'X-APP-EDITED:1',
+  'END:VEVENT',
+  'END:VCALENDAR',
+  ''
+].join('\r\n');
+
+async function setup() {
+  const task = { id: 't1', title: 'Draft', plannedAt: Date.UTC(2026, 9, 20, 9), timeEstimate: 3600000, tagIds: [] };
+  const plugin = await loadPlugin({ tasks: [task], tags: [{ id: 'g1', title: 'urgent' }] });
+  plugin.configure({
+    enabled: true,
+    username: 'me',
+    password: 'secret',
+    calendarUrl: CALENDAR_URL,
+    twoWaySync: true,
+    tagCategories: true,
+    showSyncSnacks: false
+  });
+
+  // The REPORT needs DOMParser (browser only): serve the parsed server event instead
+  plugin.context.serverData = null;
+  plugin.run(`fetchCalDAVEvents = async (calendar) => {
+    const event = parseICalEvent(serverData);
+    return [{ ...event, etag: '"server-1"', calendarUrl: calendar.url }];
+  }`);
+
+  return { plugin, task };
+}
+
+test('two-way: a pulled event is not PUT again', async () => {
+  const { plugin, task } = await setup();
+
+  await plugin.context.syncTaskToCalDAV(task);
+  assert.deepEqual(plugin.requests.map(r => r.method), ['PUT']);
+  plugin.requests.length = 0;
+
+  plugin.context.serverData = serverEvent('Final');
+  assert.equal(await plugin.context.pullCalendarChanges(), 1);
+  assert.equal(task.title, 'Final');
+
+  // The hook of the task update and later bulk syncs find nothing to write
+  await plugin.context.syncTaskToCalDAV(task);
+  await plugin.context.syncTaskToCalDAV({ ...task });
+  assert.deepEqual(plugin.requests, []);
+  assert.equal(plugin.run('taskEventMapping.t1.etag'), '"server-1"');
+});
+
+test('two-way: local changes after a pull are pushed, even outside the synced fields', async () => {
+  const { plugin, task } = await setup();
+
+  await plugin.context.syncTaskToCalDAV(task);
+  plugin.context.serverData = serverEvent('Final');
+  await plugin.context.pullCalendarChanges();
+  plugin.requests.length = 0;
+
+  // Tags only change CATEGORIES
+  task.tagIds = ['g1'];
+  await plugin.context.syncTaskToCalDAV(task);
+
+  assert.equal(plugin.requests.length, 1);
+  assert.equal(plugin.requests[0].method, 'PUT');
+  assert.match(plugin.requests[0].body, /CATEGORIES:urgent/);
+  assert.match(plugin.requests[0].body, /SUMMARY:Final/);
+});
+
+test('two-way: an event unchanged on the server keeps the hash of the last write', async () => {
+  const { plugin, task } = await setup();
+
+  await plugin.context.syncTaskToCalDAV(task);
+  const hash = plugin.run('taskEventMapping.t1.hash');
+
+  // Same fields, new ETag (e.g. the calendar app touched an alarm)
+  plugin.context.serverData = serverEvent('Draft');
+  assert.equal(await plugin.context.pullCalendarChanges(), 0);
+  assert.equal(plugin.run('taskEventMapping.t1.hash'), hash);
+  assert.equal(plugin.run('taskEventMapping.t1.etag'), '"server-1"');
+});
+
+test('imported tasks are not exported, as long as their event is imported', async () => {
+  const task = { id: 't1', title: 'Meeting', plannedAt: Date.UTC(2026, 9, 20, 9), timeEstimate: 3600000 };
+  const key = 'https://dav.example.com/calendars/me/team/|ev-1|';
+  const plugin = await loadPlugin({
+    tasks: [task],
+    savedData: { imported: { [key]: { taskId: 't1', calendarUrl: 'https://dav.example.com/calendars/me/team/', fields: {} } } }
+  });
+  plugin.configure({ enabled: true, username: 'me', password: 'secret', calendarUrl: CALENDAR_URL, showSyncSnacks: false });
+
+  assert.equal(plugin.context.shouldSyncTask(task), false);
+  await plugin.context.syncTaskToCalDAV(task);
+  assert.deepEqual(plugin.requests, []);
+
+  // The import list no longer has its calendar: the mapping forgets the event, the task is a normal one
+  await plugin.context.importCalendarEvents([], { created: 0, updated: 0, cancelled: 0, failed: 0 });
+  assert.equal(plugin.context.shouldSyncTask(task), true);
+});
+
+test('task hooks without a task id are dropped', async () => {
+  const plugin = await loadPlugin();
+
+  for (const payload of [null, undefined, {}, '']) {
+    assert.doesNotThrow(() => plugin.context.scheduleTaskHook('update', payload));
+  }
+  assert.equal(plugin.run('pendingTaskHooks.size'), 0);
+
+  plugin.context.scheduleTaskHook('update', { taskId: 't1' });
+  assert.equal(plugin.run('pendingTaskHooks.size'), 1);
+});
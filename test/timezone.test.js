@@ -0,0 +1,84 @@
+/**
+ * Tests that days and times follow the configured timezone, not the system one
+ */
+
+// Set before any Date is created: 13 hours ahead of the configured zone
+process.env.TZ = 'Asia/Tokyo';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPlugin } = require('./support/plugin.js');
+
+const TIMEZONE = 'America/New_York';
+
+async function setup(config = {}) {
+  const plugin = await loadPlugin();
+  plugin.configure({ timezone: TIMEZONE, ...config });
+  return plugin.context;
+}
+
+/** Wall-clock "YYYY-MM-DD HH:MM" of a timestamp in the configured zone */
+const wallClock = (plugin, timestamp) => {
+  const parts = plugin.getZonedParts(timestamp, TIMEZONE);
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+};
+
+test('the system timezone differs from the configured one', () => {
+  assert.equal(new Date(Date.UTC(2026, 9, 20, 2)).getDate(), 20);
+});
+
+test('the day of a task is the day in the configured timezone', async () => {
+  const plugin = await setup();
+
+  // 2026-10-20 02:00 UTC is Oct 19, 22:00 in New York (Oct 20, 11:00 in Tokyo)
+  assert.equal(plugin.getTaskDay({ id: 't1', plannedAt: Date.UTC(2026, 9, 20, 2) }), '2026-10-19');
+  assert.equal(plugin.getTaskDay({ id: 't2', dueDay: '2026-10-21' }), '2026-10-21');
+});
+
+test('series start on the day and at the time of the configured timezone', async () => {
+  const plugin = await setup();
+  const cfg = {
+    id: 'r1',
+    title: 'Standup',
+    startTime: '09:00',
+    lastTaskCreation: Date.UTC(2026, 9, 20, 2),
+    repeatCycle: 'DAILY',
+    repeatEvery: 1
+  };
+
+  const text = plugin.createSeriesFromRepeatCfg(cfg, [], { uid: 'sp-repeat-r1', exdates: [] });
+  assert.match(text, /DTSTART;TZID=America\/New_York:20261019T090000/);
+});
+
+test('worklog blocks start at the day start of the configured timezone', async () => {
+  const plugin = await setup({ worklogDayStart: '09:00' });
+  const task = { id: 't1', title: 'Review', created: 1, timeSpentOnDay: { '2026-10-19': 3600000 } };
+
+  const entries = plugin.getWorklogEntries([task], '2026-10-01');
+  const entry = entries['t1/2026-10-19'];
+  assert.equal(entry.start, Date.UTC(2026, 9, 19, 13)); // 09:00 EDT
+  assert.equal(entry.end, Date.UTC(2026, 9, 19, 14));
+});
+
+test('the import window spans whole days of the configured timezone', async () => {
+  const plugin = await setup({ importDaysBack: 1, importDaysAhead: 7 });
+
+  const { start, end } = plugin.getImportWindow();
+  assert.match(wallClock(plugin, start), / 00:00$/);
+  assert.match(wallClock(plugin, end), / 00:00$/);
+  assert.ok(start <= Date.now() - 86400000 && end > Date.now() + 7 * 86400000);
+});
+
+test('free slots lie within the working hours of the configured timezone', async () => {
+  const plugin = await setup({ busyDayStart: '08:00', busyDayEnd: '18:00' });
+
+  // From Oct 19, 19:00 in New York: the next slot is Oct 20, 08:00 there
+  const from = Date.UTC(2026, 9, 19, 23);
+  const slot = plugin.findFreeSlot([], 3600000, from, Date.UTC(2026, 9, 23));
+  assert.equal(slot, Date.UTC(2026, 9, 20, 12));
+
+  // A busy morning moves the slot to its end
+  const busy = [{ start: Date.UTC(2026, 9, 20, 12), end: Date.UTC(2026, 9, 20, 15) }];
+  assert.equal(plugin.findFreeSlot(busy, 3600000, from, Date.UTC(2026, 9, 23)), Date.UTC(2026, 9, 20, 15));
+});